@@ -0,0 +1,56 @@
+import { encodeQueryString, flattenParams, isBlob } from './QueryString';
+
+// Encodes the bodies of requests (see the encoding option of ReduxRESTClient):
+//   json (default): JSON.stringify(params), sent as application/json
+//   multipart:      a FormData, fields named as in query strings (eg. author[name], see QueryString.js). Its Content-Type (with the
+//                   multipart boundary) is set by the browser.
+//   urlencoded:     a query string, sent as application/x-www-form-urlencoded
+// Params holding a Blob or File (however deeply nested) are sent as multipart, whatever the encoding. Bodies that are already encoded
+// (a FormData, URLSearchParams, Blob or string) are sent as they are.
+
+export const encodings = ['json', 'multipart', 'urlencoded'];
+
+export const containsFile = value => {
+  if (isBlob(value)) return true;
+  if (Array.isArray(value)) return value.some(containsFile);
+  if (value && typeof value == 'object' && !(value instanceof Date)) {
+    return Object.keys(value).some(key => containsFile(value[key]));
+  }
+  return false;
+};
+
+const isEncoded = body => {
+  return typeof body == 'string' || isBlob(body) ||
+    (typeof FormData != 'undefined' && body instanceof FormData) ||
+    (typeof URLSearchParams != 'undefined' && body instanceof URLSearchParams);
+};
+
+export const toFormData = (params, options = {}) => {
+  const formData = new FormData();
+  flattenParams(params, options).forEach(pair => {
+    if (isBlob(pair[1]) && pair[1].name) formData.append(pair[0], pair[1], pair[1].name);
+    else formData.append(pair[0], pair[1]);
+  });
+  return formData;
+};
+
+// Returns { body, contentType }, contentType being null when it must be left to the browser.
+// options holds the format & skipNulls options of the query strings (see QueryString.js), used by the multipart & urlencoded encodings.
+export const encodeBody = (params, encoding = 'json', options = {}) => {
+  if (encodings.indexOf(encoding) == -1) {
+    throw new Error(`Unknown encoding "${encoding}" (expected one of: ${encodings.join(', ')})`);
+  }
+  if (isEncoded(params)) {
+    return { body: params, contentType: null };
+  }
+  if (encoding == 'multipart' || containsFile(params)) {
+    return { body: toFormData(params, options), contentType: null };
+  }
+  if (encoding == 'urlencoded') {
+    return {
+      body: encodeQueryString(params, options),
+      contentType: 'application/x-www-form-urlencoded;charset=UTF-8'
+    };
+  }
+  return { body: JSON.stringify(params), contentType: 'application/json' };
+};
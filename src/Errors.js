@@ -0,0 +1,98 @@
+// The error stored in the request state of failed (or cancelled) requests, see ReduxRESTClient#_updateRequest():
+//   {
+//     kind: 'http', 'network' or 'cancelled',
+//     status: the status code of the response (null when there is no response),
+//     message: a message to show to the user,
+//     fieldErrors: the validation errors by field, eg. { email: ['has already been taken'] },
+//     code: the error code given by the server, or null,
+//     retryable: whether sending the same request again might succeed (eg. after a 503 or a network error)
+//   }
+// plus anything else the error parser returns (eg. the errors array of JSON:API documents).
+
+// Messages used for HTTP errors whose response does not give one (see the statusTextOverride option), before falling back to
+// response.statusText.
+export const defaultStatusText = {
+  401: 'Unauthorized, please login in order to complete this action',
+  403: 'Forbidden - you are not allowed to perform this action',
+  404: 'Page/Resource Not Found',
+  409: 'Conflict - unable to perform this action'
+};
+
+export const createRequestError = (kind, fields) => {
+  return Object.assign({ kind: kind, status: null, message: null, fieldErrors: {}, code: null, retryable: false }, fields);
+};
+
+// The error fetch functions reject with when their request is cancelled through its AbortSignal, like fetch() does
+export const createAbortError = () => {
+  const error = new Error('The request was cancelled');
+  error.name = 'AbortError';
+  return error;
+};
+
+// Reads the body of an error response according to its Content-Type: JSON bodies are parsed, others are returned as text.
+// Without a Content-Type, bodies that look like JSON are parsed too.
+export const readErrorBody = response => {
+  const contentType = (response.headers && response.headers.get && response.headers.get('Content-Type')) || '';
+  return response.text().then(text => {
+    const isJSON = contentType ? /[/+]json\b/i.test(contentType) : /^\s*[{[]/.test(text || '');
+    if (!isJSON) return text || null;
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      return text || null;
+    }
+  });
+};
+
+// Finds the message, code & field errors in the error bodies of most APIs, eg.
+//   'Something went wrong'
+//   { message: 'Invalid user', code: 'invalid', errors: { email: ['taken'] } }
+//   { error: { message: 'Invalid user', code: 'invalid' } }
+//   { errors: [{ field: 'email', message: 'taken' }] }
+//   { errors: [{ source: { pointer: '/data/attributes/email' }, detail: 'taken' }] } (JSON:API)
+// Returns only what it found (or null), the other fields of the error are filled in by the client.
+export const defaultErrorParser = body => {
+  if (typeof body == 'string') {
+    return body.trim() ? { message: body } : null;
+  }
+  if (!body || typeof body != 'object') return null;
+
+  const error = (body.error && typeof body.error == 'object') ? body.error : body;
+  const parsed = toFieldErrors(error.errors || body.errors);
+  const message = [error.message, body.error, error.detail, error.title].find(value => typeof value == 'string' && value);
+
+  return {
+    message: message || parsed.messages.join(', ') || null,
+    code: error.code === undefined ? null : error.code,
+    fieldErrors: parsed.fieldErrors
+  };
+};
+
+// errors may be an object of messages by field, or an array of errors (with a field, or else a general message)
+const toFieldErrors = errors => {
+  const result = { fieldErrors: {}, messages: [] };
+  if (!errors || typeof errors != 'object') return result;
+
+  if (!Array.isArray(errors)) {
+    Object.keys(errors).forEach(field => {
+      result.fieldErrors[field] = [].concat(errors[field]);
+    });
+    return result;
+  }
+
+  errors.forEach(error => {
+    if (typeof error == 'string') {
+      result.messages.push(error);
+      return;
+    }
+    const message = error.message || error.msg || error.detail || error.title;
+    const field = error.field || error.param || (typeof error.path == 'string' ? error.path : null) ||
+      (error.source && error.source.pointer ? error.source.pointer.split('/').pop() : null);
+    if (field) {
+      result.fieldErrors[field] = (result.fieldErrors[field] || []).concat([message]);
+    } else if (message) {
+      result.messages.push(message);
+    }
+  });
+  return result;
+};
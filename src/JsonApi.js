@@ -0,0 +1,169 @@
+import { defaultErrorParser } from './Errors';
+import { assertSendable } from './Query';
+
+// Adapts ReduxRESTClients to APIs speaking JSON:API (https://jsonapi.org), eg.
+//   const jsonApi = new JsonApiAdapter();
+//   const articles = new ReduxRESTClient('articles', { ..., adapter: jsonApi });
+//   const people = new ReduxRESTClient('people', { ..., adapter: jsonApi, adapterOptions: { relationships: { articles: 'articles' } } });
+//
+// Each client using the adapter is registered under its JSON:API type (its resource name, unless adapterOptions.type is given), so that
+// the resources included in a response are stored into the slice of the client of their type. Included resources of a type no client
+// is registered for are ignored.
+//
+// Resources are flattened into records, their relationships becoming the id (or array of ids) of the related resources:
+//   { type: 'articles', id: '1', attributes: { title: 'Hi' }, relationships: { author: { data: { type: 'people', id: '9' } } } }
+//   => { _id: '1', title: 'Hi', author: '9' }
+// And the other way around for the bodies of create()/update()/patch() requests. The type of each relationship is learnt from the
+// resources received, or may be given upfront by adapterOptions.relationships (eg. { author: 'people' }).
+export class JsonApiAdapter {
+  static mediaType = 'application/vnd.api+json';
+
+  // JSON:API updates & deletes resources at /type/:id (see ReduxRESTClient.routePresets)
+  routes = 'rails';
+
+  constructor() {
+    this._registrations = [];
+  }
+
+  // Called by the ReduxRESTClient constructor
+  install(client, options = {}) {
+    this.register(client, options);
+    client.addRequestInterceptor(request => {
+      const headers = Object.assign({}, request.options.headers, { 'Accept': JsonApiAdapter.mediaType });
+      // Requests encoded otherwise (eg. multipart file uploads) keep their Content-Type
+      if (headers['Content-Type'] == 'application/json') headers['Content-Type'] = JsonApiAdapter.mediaType;
+      request.options.headers = headers;
+    });
+  }
+
+  register(client, options = {}) {
+    const registration = this._getRegistration(client);
+    const type = options.type || (registration && registration.type) || client.resource;
+    const relationships = Object.assign({}, registration && registration.relationships, options.relationships);
+
+    this._registrations = this._registrations.filter(reg => reg.client !== client);
+    this._registrations.push({ client: client, type: type, relationships: relationships });
+    return this;
+  }
+
+  // Query params built from the options of fetch()/fetchPage()/fetchById(), eg.
+  //   { include: ['author'], fields: { articles: ['title'] }, filter: { status: 'published' }, page: { size: 10 }, sort: ['-createdAt'] }
+  //   => include=author&fields[articles]=title&filter[status]=published&page[size]=10&sort=-createdAt
+  getQueryParams(options = {}) {
+    const params = {};
+    if (options.include) params.include = toList(options.include);
+    if (options.sort) params.sort = toList(options.sort);
+    ['fields', 'filter', 'page'].forEach(family => {
+      Object.keys(options[family] || {}).forEach(member => {
+        params[`${family}[${member}]`] = toList(options[family][member]);
+      });
+    });
+    return params;
+  }
+
+  // A query (see Query.js) as JSON:API params: its where conditions as filter[field], its orderBy as sort & its limit/offset as page[limit]/page[offset]
+  serializeQuery(client, query = {}) {
+    assertSendable(query);
+    const page = {};
+    if (query.limit !== undefined) page.limit = query.limit;
+    if (query.offset) page.offset = query.offset;
+    return this.getQueryParams({ filter: query.where, sort: query.orderBy, page: page });
+  }
+
+  // The records (and meta) of a response document. Included resources are stored into the slices of the clients of their type.
+  receive(client, document, response, dispatch) {
+    if (!document || document.data === undefined || document.data === null) {
+      return { records: [], meta: (document && document.meta) || null };
+    }
+
+    if (document.included) {
+      this._storeIncluded(document.included, dispatch);
+    }
+    return {
+      records: [].concat(document.data).map(resource => this.flatten(client, resource)),
+      meta: document.meta || null
+    };
+  }
+
+  // The document sent by create()/update()/patch(), params being the record (or changes) to send
+  serialize(client, params, requestType, id) {
+    const registration = this._getRegistration(client) || { type: client.resource, relationships: {} };
+    const resource = { type: registration.type };
+    const resourceId = id === undefined ? params[client._idField] : id;
+    if (resourceId !== undefined && resourceId !== null) {
+      resource.id = String(resourceId);
+    }
+
+    Object.keys(params).forEach(key => {
+      if (key == client._idField) return;
+      const relatedType = registration.relationships[key];
+      if (relatedType) {
+        resource.relationships = resource.relationships || {};
+        resource.relationships[key] = { data: toLinkage(params[key], relatedType) };
+      } else {
+        resource.attributes = resource.attributes || {};
+        resource.attributes[key] = params[key];
+      }
+    });
+    return { data: resource };
+  }
+
+  // The error of a failed request, from the errors array of the response document (or null when there is none).
+  // Errors whose source points to an attribute or relationship become field errors.
+  parseError(client, document) {
+    if (!document || !Array.isArray(document.errors) || !document.errors.length) return null;
+    return {
+      message: document.errors.map(error => error.detail || error.title || error.code).filter(message => message).join(', '),
+      code: document.errors[0].code || null,
+      fieldErrors: defaultErrorParser({ errors: document.errors }).fieldErrors,
+      errors: document.errors
+    };
+  }
+
+  flatten(client, resource) {
+    const registration = this._getRegistration(client);
+    const record = Object.assign({}, resource.attributes, { [client._idField]: resource.id });
+
+    Object.keys(resource.relationships || {}).forEach(name => {
+      const linkage = resource.relationships[name].data;
+      // A relationship given only as links holds no ids
+      if (linkage === undefined) return;
+
+      if (Array.isArray(linkage)) {
+        record[name] = linkage.map(related => related.id);
+        if (linkage.length && registration) registration.relationships[name] = linkage[0].type;
+      } else {
+        record[name] = linkage ? linkage.id : null;
+        if (linkage && registration) registration.relationships[name] = linkage.type;
+      }
+    });
+    return record;
+  }
+
+  _storeIncluded(included, dispatch) {
+    const resourcesByType = {};
+    included.forEach(resource => {
+      resourcesByType[resource.type] = (resourcesByType[resource.type] || []).concat([resource]);
+    });
+
+    Object.keys(resourcesByType).forEach(type => {
+      const registration = this._registrations.find(reg => reg.type == type);
+      if (!registration) return;
+
+      const client = registration.client;
+      const records = resourcesByType[type].map(resource => client.deserialize(this.flatten(client, resource)));
+      dispatch(client._recordActions.read({ records: records, fetchedAt: Date.now() }));
+    });
+  }
+
+  _getRegistration(client) {
+    return this._registrations.find(reg => reg.client === client) || null;
+  }
+}
+
+const toList = value => Array.isArray(value) ? value.join(',') : value;
+
+const toLinkage = (value, type) => {
+  if (Array.isArray(value)) return value.map(id => ({ type: type, id: String(id) }));
+  return (value === undefined || value === null) ? null : { type: type, id: String(value) };
+};
@@ -0,0 +1,57 @@
+// Lifecycle hooks, called with an event describing what happened, eg. to feed metrics & analytics:
+//   onRequestStart:   a request was sent: { client, requestId, requestType, key, method, url, params, startedAt, attempt }
+//   onRequestSuccess: it succeeded, the event also holding { status, statusCode, duration, bytes }
+//   onRequestError:   it failed, was cancelled or was superseded by a newer request (see event.status), the event also holding the error
+//   onRecordsChanged: records of a client were received, changed or removed: { client, action, ids } (action being that of the slice)
+// Hooks are registered globally (ReduxRESTClient.addHook()) or per client (the hooks option, or client.addHook()), global hooks being
+// called first.
+
+export const hookNames = ['onRequestStart', 'onRequestSuccess', 'onRequestError', 'onRecordsChanged'];
+
+const assertHookName = name => {
+  if (hookNames.indexOf(name) == -1) {
+    throw new Error(`Unknown hook "${name}" (expected one of: ${hookNames.join(', ')})`);
+  }
+};
+
+// The hooks registered by name, hooks being a function or an array of functions per name
+export const createHooks = (hooks = {}) => {
+  const registry = {};
+  hookNames.forEach(name => {
+    registry[name] = [];
+  });
+  Object.keys(hooks).forEach(name => {
+    assertHookName(name);
+    registry[name] = [].concat(hooks[name]);
+  });
+  return registry;
+};
+
+export const globalHooks = createHooks();
+
+// Returns a function that removes the hook
+export const addHook = (registry, name, hook) => {
+  assertHookName(name);
+  registry[name].push(hook);
+  return () => {
+    const index = registry[name].indexOf(hook);
+    if (index != -1) registry[name].splice(index, 1);
+  };
+};
+
+export const hasHooks = (registries, name) => registries.some(registry => registry[name].length > 0);
+
+// Hooks only observe: an error thrown by one is reported (as an uncaught error) without failing the request, or skipping the other hooks
+export const callHooks = (registries, name, event) => {
+  registries.forEach(registry => {
+    registry[name].slice().forEach(hook => {
+      try {
+        hook(event);
+      } catch (error) {
+        setTimeout(() => {
+          throw error;
+        });
+      }
+    });
+  });
+};
@@ -0,0 +1,57 @@
+import { createStorage } from './Storage';
+
+// The queue of mutations (create/update/patch/delete) of a ReduxRESTClient in offline mode (see the offline option & ReduxRESTClient#replay()).
+//
+// Each mutation is applied to the slice right away (as an optimistic change), queued, then sent in order. When the server can not be
+// reached the mutations stay queued (in the slice, and in storage so that they survive a reload) until connectivity returns. A mutation
+// the server rejects stops the queue until the app resolves it, see ReduxRESTClient#retryMutation() & discardMutation().
+//
+// Each entry of the queue: { id, requestType, recordId, params, status: 'queued'/'sending'/'failed', error, queuedAt }
+class OfflineQueue {
+  static defaults = {
+    isOnline: () => typeof navigator == 'undefined' || navigator.onLine !== false
+  };
+
+  constructor(client, options = {}) {
+    this.storage = createStorage(options.storage);
+    this.key = options.key || `redux-rest-client:queue:${client.resource}`;
+    this.isOnline = options.isOnline || OfflineQueue.defaults.isOnline;
+    this._counter = 0;
+    this._watching = false;
+  }
+
+  createEntry(requestType, recordId, params) {
+    this._counter++;
+    return {
+      id: `${Date.now().toString(36)}_${this._counter}`,
+      requestType: requestType,
+      recordId: recordId === undefined ? null : recordId,
+      params: params,
+      status: 'queued',
+      error: null,
+      queuedAt: Date.now()
+    };
+  }
+
+  // Resolves to the entries saved in storage. Entries that were being sent are queued again, since their response never arrived.
+  load() {
+    return Promise.resolve(this.storage.getItem(this.key)).then(value => {
+      const entries = value ? JSON.parse(value) : [];
+      return entries.map(entry => entry.status == 'sending' ? Object.assign({}, entry, { status: 'queued' }) : entry);
+    });
+  }
+
+  save(entries) {
+    const value = entries.length ? JSON.stringify(entries) : null;
+    return Promise.resolve().then(() => value ? this.storage.setItem(this.key, value) : this.storage.removeItem(this.key));
+  }
+
+  // Calls onOnline whenever connectivity returns (once per queue)
+  watch(onOnline) {
+    if (this._watching || typeof window == 'undefined' || !window.addEventListener) return;
+    this._watching = true;
+    window.addEventListener('online', onOnline);
+  }
+}
+
+export default OfflineQueue;
@@ -0,0 +1,157 @@
+// Pagination strategies used by ReduxRESTClient#fetchPage(), fetchNextPage() & fetchPreviousPage().
+//
+// Pages are always numbered (starting at 1) inside the slice, whatever the API uses to identify them. Each strategy:
+//  1. getParams(page, pagination) returns the params (merged into the query params) or url used to request a page,
+//     pagination being the client's current pagination state (which holds what was learnt from earlier pages).
+//  2. parse(response, records, page, meta) reads what the response (and the metadata extracted from its body, see the envelope
+//     option) says about the other pages: { totalCount, hasMore, next, previous } where next/previous are cursors or urls.
+
+const getHeader = (response, name) => {
+  return (response && response.headers && response.headers.get) ? response.headers.get(name) : null;
+};
+
+// The total number of records, from the given header, or else the total/totalCount of the response's metadata
+const getTotalCount = (response, header, meta) => {
+  const count = toCount(getHeader(response, header));
+  if (count !== null || !meta) return count;
+  return toCount(meta.totalCount !== undefined ? meta.totalCount : meta.total);
+};
+
+const toCount = value => {
+  const count = parseInt(value, 10);
+  return isNaN(count) ? null : count;
+};
+
+// Parses an RFC 5988 Link header: '<https://api/things?page=2>; rel="next", <...>; rel="last"' => { next: '...', last: '...' }
+export const parseLinkHeader = header => {
+  const links = {};
+  if (!header) return links;
+
+  header.split(/,(?=\s*<)/).forEach(link => {
+    const match = link.match(/<([^>]*)>(.*)/);
+    if (!match) return;
+    const relMatch = match[2].match(/;\s*rel\s*=\s*"?([^";]+)"?/i);
+    if (!relMatch) return;
+    relMatch[1].trim().split(/\s+/).forEach(rel => {
+      links[rel.toLowerCase()] = match[1];
+    });
+  });
+  return links;
+};
+
+// ?page=2&per_page=25
+export class PageNumberPagination {
+  constructor(options = {}) {
+    this.pageParam = options.pageParam || 'page';
+    this.perPageParam = options.perPageParam || 'per_page';
+    this.perPage = options.perPage || 25;
+    this.totalCountHeader = options.totalCountHeader || 'X-Total-Count';
+  }
+
+  getParams(page) {
+    return { params: { [this.pageParam]: page, [this.perPageParam]: this.perPage } };
+  }
+
+  parse(response, records, page, meta) {
+    const totalCount = getTotalCount(response, this.totalCountHeader, meta);
+    const hasMore = totalCount === null ? records.length >= this.perPage : page * this.perPage < totalCount;
+    return { totalCount: totalCount, hasMore: hasMore };
+  }
+}
+
+// ?offset=50&limit=25
+export class OffsetPagination {
+  constructor(options = {}) {
+    this.offsetParam = options.offsetParam || 'offset';
+    this.limitParam = options.limitParam || 'limit';
+    this.limit = options.limit || 25;
+    this.totalCountHeader = options.totalCountHeader || 'X-Total-Count';
+  }
+
+  getParams(page) {
+    return { params: { [this.offsetParam]: (page - 1) * this.limit, [this.limitParam]: this.limit } };
+  }
+
+  parse(response, records, page, meta) {
+    const totalCount = getTotalCount(response, this.totalCountHeader, meta);
+    const hasMore = totalCount === null ? records.length >= this.limit : page * this.limit < totalCount;
+    return { totalCount: totalCount, hasMore: hasMore };
+  }
+}
+
+// ?cursor=<cursor of the next page returned with the previous page>&limit=25
+// By default the cursor of the next page is read from the X-Next-Cursor response header, or the nextCursor of the response's metadata.
+// Use options.getNextCursor(response, records, meta) to customize this.
+export class CursorPagination {
+  constructor(options = {}) {
+    this.cursorParam = options.cursorParam || 'cursor';
+    this.limitParam = options.limitParam || 'limit';
+    this.limit = options.limit || 25;
+    this.getNextCursor = options.getNextCursor || ((response, records, meta) => {
+      return getHeader(response, 'X-Next-Cursor') || (meta && meta.nextCursor) || null;
+    });
+  }
+
+  getParams(page, pagination) {
+    const params = { [this.limitParam]: this.limit };
+    if (page > 1) {
+      const previousPage = pagination.pages[page - 1];
+      if (!previousPage || !previousPage.next) {
+        throw new Error(`CursorPagination: page ${page} can only be fetched after page ${page - 1}`);
+      }
+      params[this.cursorParam] = previousPage.next;
+    }
+    return { params: params };
+  }
+
+  parse(response, records, page, meta) {
+    const next = this.getNextCursor(response, records, meta) || null;
+    return { totalCount: null, hasMore: !!next, next: next };
+  }
+}
+
+// Follows the urls of the next/prev links given by the Link response header (eg. as returned by the GitHub API)
+export class LinkHeaderPagination {
+  constructor(options = {}) {
+    this.totalCountHeader = options.totalCountHeader || 'X-Total-Count';
+  }
+
+  getParams(page, pagination) {
+    if (page == 1) return { params: {} };
+
+    const previousPage = pagination.pages[page - 1];
+    if (previousPage && previousPage.next) return { url: previousPage.next };
+
+    const nextPage = pagination.pages[page + 1];
+    if (nextPage && nextPage.previous) return { url: nextPage.previous };
+
+    throw new Error(`LinkHeaderPagination: no link to page ${page} has been received`);
+  }
+
+  parse(response, records, page, meta) {
+    const links = parseLinkHeader(getHeader(response, 'Link'));
+    return {
+      totalCount: getTotalCount(response, this.totalCountHeader, meta),
+      hasMore: !!links.next,
+      next: links.next || null,
+      previous: links.prev || links.previous || null
+    };
+  }
+}
+
+const strategies = {
+  page: PageNumberPagination,
+  offset: OffsetPagination,
+  cursor: CursorPagination,
+  link: LinkHeaderPagination
+};
+
+// options.pagination may be a strategy instance, or the name of a built-in strategy ('page', 'offset', 'cursor' or 'link')
+export const createPaginationStrategy = (pagination, options = {}) => {
+  if (!pagination) return null;
+  if (typeof pagination != 'string') return pagination;
+  if (!strategies[pagination]) {
+    throw new Error(`Unknown pagination strategy "${pagination}" (expected one of: ${Object.keys(strategies).join(', ')})`);
+  }
+  return new strategies[pagination](options);
+};
@@ -0,0 +1,15 @@
+// Fills in the :parameters of a path template from params, eg.
+//   buildPath('/projects/:projectId/tasks', { projectId: 5, done: true }) => { path: '/projects/5/tasks', params: { done: true } }
+// params holds the params that were not used by the path.
+export const buildPath = (template, params = {}) => {
+  const remainingParams = Object.assign({}, params);
+  const path = template.replace(/:([A-Za-z_][A-Za-z0-9_]*)/g, (match, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) {
+      throw new Error(`No value was given for :${name} of the path "${template}"`);
+    }
+    delete remainingParams[name];
+    return encodeURIComponent(value);
+  });
+  return { path: path, params: remainingParams };
+};
@@ -0,0 +1,131 @@
+import { createStorage } from './Storage';
+
+// Saves the slice of a ReduxRESTClient to storage, so that it can be rehydrated on the next page load (see the persist option,
+// ReduxRESTClient#rehydrate() & createPersistMiddleware()).
+//
+// Only what was received from the server is saved: records, when they were fetched, the metadata of queries and (with the requests
+// option) the state of succeeded requests. Transient state is not: pending requests, optimistic changes (the last confirmed version of
+// each record is saved instead), the subscription and the offline queue (which is saved on its own, see OfflineQueue.js).
+//
+// Saved states carry the version option. A state saved by an older version is migrated by each migration function from the next version
+// up to the current one (eg. { 2: state => ..., 3: state => ... }), states that can not be migrated are discarded.
+class Persistence {
+  static defaults = {
+    version: 1,
+    // The longest saved state (in characters), the least recently fetched records are left out to stay under it
+    maxSize: 1024 * 1024,
+    requests: false
+  };
+
+  constructor(client, options = {}) {
+    this.idField = client._idField;
+    this.storage = createStorage(options.storage);
+    this.key = options.key || `redux-rest-client:state:${client.resource}`;
+    this.version = options.version || Persistence.defaults.version;
+    this.migrations = options.migrations || {};
+    this.maxSize = options.maxSize === undefined ? Persistence.defaults.maxSize : options.maxSize;
+    this.requests = options.requests === undefined ? Persistence.defaults.requests : options.requests;
+  }
+
+  // Resolves to the saved (and migrated) state, or null when there is none (or it can not be migrated)
+  load() {
+    return Promise.resolve(this.storage.getItem(this.key)).then(value => {
+      if (!value) return null;
+
+      const saved = JSON.parse(value);
+      if (!saved || !saved.state || saved.version > this.version) return null;
+
+      let state = saved.state;
+      for (let version = saved.version + 1; version <= this.version; version++) {
+        if (!this.migrations[version]) return null;
+        state = this.migrations[version](state);
+        if (!state) return null;
+      }
+      return state;
+    });
+  }
+
+  save(sliceState) {
+    return Promise.resolve().then(() => this.storage.setItem(this.key, this.serialize(sliceState)));
+  }
+
+  clear() {
+    return Promise.resolve().then(() => this.storage.removeItem(this.key));
+  }
+
+  serialize(sliceState) {
+    const state = {
+      ids: [],
+      entities: {},
+      fetchedAt: {},
+      queries: sliceState.queries,
+      meta: sliceState.meta,
+      invalidatedAt: sliceState.invalidatedAt
+    };
+    if (this.requests) {
+      state.requests = {};
+      state.latestRequests = {};
+      Object.keys(sliceState.requests).forEach(key => {
+        // Cleared requests (see clearRequest()) are null
+        const request = sliceState.requests[key];
+        if (request && request.status == 'succeeded') state.requests[key] = request;
+      });
+      Object.keys(sliceState.latestRequests).forEach(requestType => {
+        if (state.requests[sliceState.latestRequests[requestType]]) state.latestRequests[requestType] = sliceState.latestRequests[requestType];
+      });
+    }
+
+    // Records with optimistic changes are saved as they were last confirmed by the server (or not at all, for optimistic creates)
+    const records = [];
+    sliceState.ids.forEach(id => {
+      const pending = sliceState.pending[id];
+      const record = pending ? pending.original : sliceState.entities[id];
+      if (record) records.push(record);
+    });
+    Object.keys(sliceState.pending).forEach(id => {
+      const pending = sliceState.pending[id];
+      if (pending.requestType == 'delete' && pending.original) records.push(pending.original);
+    });
+
+    const saved = { version: this.version, savedAt: Date.now(), state: state };
+    let budget = this.maxSize ? this.maxSize - JSON.stringify(saved).length : Infinity;
+
+    // The most recently fetched records are kept first
+    const byRecency = records.map((record, index) => ({ record: record, index: index, id: record[this.idField] }));
+    byRecency.sort((rec1, rec2) => (sliceState.fetchedAt[rec2.id] || 0) - (sliceState.fetchedAt[rec1.id] || 0));
+    const kept = byRecency.filter(rec => {
+      // Each record adds its entity, its id (twice) and its fetchedAt
+      const size = JSON.stringify(rec.record).length + 2 * JSON.stringify(rec.id).length + 20;
+      if (size > budget) return false;
+      budget -= size;
+      return true;
+    });
+
+    kept.sort((rec1, rec2) => rec1.index - rec2.index).forEach(rec => {
+      state.ids.push(rec.id);
+      state.entities[rec.id] = rec.record;
+      if (sliceState.fetchedAt[rec.id]) state.fetchedAt[rec.id] = sliceState.fetchedAt[rec.id];
+    });
+    if (kept.length < records.length) {
+      // The queries no longer have all their records, they must be fetched again once rehydrated
+      state.queries = {};
+      state.meta = {};
+    }
+    return JSON.stringify(saved);
+  }
+}
+
+// A redux middleware saving the slices of the given clients (those created with the persist option) whenever they change, at most once
+// every options.throttle ms (default: 1000), eg.
+//   configureStore({ reducer: {...}, middleware: getDefaultMiddleware => getDefaultMiddleware().concat(createPersistMiddleware([ChatMessages])) })
+export const createPersistMiddleware = (clients, options = {}) => {
+  const throttle = options.throttle === undefined ? 1000 : options.throttle;
+
+  return store => next => action => {
+    const result = next(action);
+    clients.forEach(client => client._persistIfChanged(store.getState, throttle));
+    return result;
+  };
+};
+
+export default Persistence;
@@ -0,0 +1,168 @@
+// The query language of ReduxRESTClient#query(), where() & findBy().
+//
+// A query is { where, orderBy, limit, offset }:
+//   where:   conditions each record must match, by field (or nested path, eg. 'author.name'):
+//              { status: 'open' }                      equality (loose, so that ids given as strings match numbers)
+//              { status: ['open', 'pending'] }         one of the values (same as $in)
+//              { author: { name: 'Ann' } }             nested fields (same as 'author.name': 'Ann')
+//              { title: /hello/i }                     regular expression
+//              { likes: { $gt: 10, $lte: 100 } }       operators: $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $contains, $regex, $exists
+//              { likes: (likes, record) => ... }       custom predicate of the field
+//              { $where: record => ... }               custom predicate of the record
+//              { $or: [{ ... }, { ... }], $and: [...] } any/all of several conditions
+//   orderBy: 'field', '-field' (descending), an array of those, or a compare function (records are otherwise in the slice's sort order)
+//   limit / offset: a page of the matching records
+//
+// Comparisons of missing values ($gt etc.) never match.
+
+const operators = {
+  $eq: (value, expected) => value == expected,
+  $ne: (value, expected) => value != expected,
+  $gt: (value, expected) => isPresent(value) && value > expected,
+  $gte: (value, expected) => isPresent(value) && value >= expected,
+  $lt: (value, expected) => isPresent(value) && value < expected,
+  $lte: (value, expected) => isPresent(value) && value <= expected,
+  $in: (value, expected) => expected.some(item => matchesValue(value, item)),
+  $nin: (value, expected) => !expected.some(item => matchesValue(value, item)),
+  $contains: (value, expected) => {
+    if (Array.isArray(value)) return value.some(item => item == expected);
+    return typeof value == 'string' && value.indexOf(expected) != -1;
+  },
+  $regex: (value, expected) => typeof value == 'string' && toRegExp(expected).test(value),
+  $exists: (value, expected) => isPresent(value) == !!expected
+};
+
+const isPresent = value => value !== undefined && value !== null;
+
+const isPlainObject = value => !!value && typeof value == 'object' && !Array.isArray(value) && !(value instanceof RegExp) && !(value instanceof Date);
+
+const isOperatorObject = value => isPlainObject(value) && Object.keys(value).length > 0 && Object.keys(value).every(key => key[0] == '$');
+
+const toRegExp = value => value instanceof RegExp ? value : new RegExp(value);
+
+export const getPath = (record, path) => {
+  return path.split('.').reduce((value, key) => isPresent(value) ? value[key] : undefined, record);
+};
+
+const matchesValue = (value, expected) => {
+  if (expected instanceof RegExp) return typeof value == 'string' && expected.test(value);
+  if (expected instanceof Date) return isPresent(value) && new Date(value).getTime() == expected.getTime();
+  return value == expected;
+};
+
+const matchesCondition = (record, path, expected) => {
+  const value = getPath(record, path);
+  if (typeof expected == 'function') return !!expected(value, record);
+  if (Array.isArray(expected)) return operators.$in(value, expected);
+  if (isOperatorObject(expected)) {
+    return Object.keys(expected).every(operator => {
+      if (!operators[operator]) {
+        throw new Error(`Unknown query operator "${operator}" (expected one of: ${Object.keys(operators).join(', ')})`);
+      }
+      return operators[operator](value, expected[operator]);
+    });
+  }
+  if (isPlainObject(expected)) {
+    return Object.keys(expected).every(key => matchesCondition(record, `${path}.${key}`, expected[key]));
+  }
+  return matchesValue(value, expected);
+};
+
+export const matches = (record, conditions = {}) => {
+  return Object.keys(conditions).every(key => {
+    const expected = conditions[key];
+    if (key == '$where') return !!expected(record);
+    if (key == '$or') return expected.some(condition => matches(record, condition));
+    if (key == '$and') return expected.every(condition => matches(record, condition));
+    // Conditions whose value is undefined are ignored (eg. { status: filters.status } when no status was chosen)
+    if (expected === undefined) return true;
+    return matchesCondition(record, key, expected);
+  });
+};
+
+// Missing values are sorted last, in either direction
+const compareValues = (value1, value2, direction) => {
+  if (!isPresent(value1)) return isPresent(value2) ? 1 : 0;
+  if (!isPresent(value2)) return -1;
+  if (value1 < value2) return -direction;
+  if (value1 > value2) return direction;
+  return 0;
+};
+
+export const createComparator = orderBy => {
+  if (typeof orderBy == 'function') return orderBy;
+
+  const fields = [].concat(orderBy).map(field => {
+    return field[0] == '-' ? { path: field.slice(1), direction: -1 } : { path: field, direction: 1 };
+  });
+  return (rec1, rec2) => {
+    for (let i = 0; i < fields.length; i++) {
+      const result = compareValues(getPath(rec1, fields[i].path), getPath(rec2, fields[i].path), fields[i].direction);
+      if (result) return result;
+    }
+    return 0;
+  };
+};
+
+// Returns the records matching the query, in its order, limited to its page
+export const runQuery = (records, query = {}) => {
+  let list = query.where ? records.filter(rec => matches(rec, query.where)) : records;
+  if (query.orderBy) {
+    // Array.prototype.sort() is stable, so records ordered the same keep the slice's sort order
+    list = list.slice().sort(createComparator(query.orderBy));
+  }
+  if (query.offset || query.limit !== undefined) {
+    const offset = query.offset || 0;
+    list = list.slice(offset, query.limit === undefined ? undefined : offset + query.limit);
+  }
+  return list;
+};
+
+// A string identifying the query, the same for equal queries (whatever the order of their keys). Functions are identified by
+// reference, since two functions with the same source may compare different values.
+const functionIds = new WeakMap();
+let lastFunctionId = 0;
+
+export const queryKey = query => serialize(query);
+
+const serialize = value => {
+  if (value === undefined) return 'undefined';
+  if (typeof value == 'function') {
+    if (!functionIds.has(value)) {
+      lastFunctionId++;
+      functionIds.set(value, lastFunctionId);
+    }
+    return `function#${functionIds.get(value)}`;
+  }
+  if (value instanceof RegExp) return `regexp#${value.toString()}`;
+  if (value instanceof Date) return `date#${value.toISOString()}`;
+  if (Array.isArray(value)) return `[${value.map(serialize).join(',')}]`;
+  if (value && typeof value == 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${serialize(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Throws when the query can not be sent to the server: functions ($where, field predicates or an orderBy function) only run locally
+export const assertSendable = query => {
+  const check = value => {
+    if (typeof value == 'function') {
+      throw new Error('Queries sent to the server can not hold functions ($where, predicates or an orderBy function), use the serializeQuery option to send them');
+    }
+    if (Array.isArray(value)) value.forEach(check);
+    else if (isPlainObject(value)) Object.keys(value).forEach(key => check(value[key]));
+  };
+  check(query);
+  return query;
+};
+
+// The params of a request selecting the records matching the query on the server: the where conditions as they are (encoded according
+// to the queryFormat option, eg. likes[$gt]=10), sort (eg. 'author.name,-likes'), limit & offset.
+export const toRequestParams = (query = {}) => {
+  assertSendable(query);
+  const params = Object.assign({}, query.where);
+  if (query.orderBy) params.sort = [].concat(query.orderBy).join(',');
+  if (query.limit !== undefined) params.limit = query.limit;
+  if (query.offset) params.offset = query.offset;
+  return params;
+};
@@ -0,0 +1,79 @@
+// Encodes the params of GET requests into query strings (see the queryFormat option of Requests & ReduxRESTClient), as well as
+// urlencoded & multipart request bodies (see Encoders.js).
+//
+// Formats, for { tags: ['a', 'b'], author: { name: 'Ann' } }:
+//   brackets (default): tags[]=a&tags[]=b&author[name]=Ann
+//   repeat:             tags=a&tags=b&author[name]=Ann
+//   comma:              tags=a,b&author[name]=Ann
+//   json:               tags=["a","b"]&author={"name":"Ann"}
+// (shown unescaped, brackets & commas are percent-encoded in the query string)
+//
+// Params whose value is undefined are left out, as are null values unless options.skipNulls is false (then sent as key=).
+// Dates are sent as ISO strings, regular expressions as their source.
+
+export const queryFormats = ['brackets', 'repeat', 'comma', 'json'];
+
+const isPresent = value => value !== undefined && value !== null;
+
+// Blobs (and Files) are sent as they are in multipart bodies (see Encoders.js)
+export const isBlob = value => typeof Blob != 'undefined' && value instanceof Blob;
+
+const isNested = value => !!value && typeof value == 'object' && !(value instanceof Date) && !(value instanceof RegExp) && !isBlob(value);
+
+const toScalar = value => {
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof RegExp) return value.source;
+  return value;
+};
+
+const toJSON = value => JSON.stringify(value, (key, item) => item instanceof RegExp ? item.source : item);
+
+// The [key, value] pairs of the params, in the given format, values being scalars ('' for null) or blobs
+export const flattenParams = (params, options = {}) => {
+  const format = options.format || 'brackets';
+  if (queryFormats.indexOf(format) == -1) {
+    throw new Error(`Unknown query format "${format}" (expected one of: ${queryFormats.join(', ')})`);
+  }
+  const skipNulls = options.skipNulls !== false;
+  const pairs = [];
+
+  const add = (key, value) => {
+    if (value === undefined || (value === null && skipNulls)) return;
+    pairs.push([key, value === null ? '' : toScalar(value)]);
+  };
+
+  const addValue = (key, value) => {
+    if (format == 'json' && isNested(value)) {
+      add(key, toJSON(value));
+    } else if (Array.isArray(value)) {
+      const items = value.filter(item => skipNulls ? isPresent(item) : item !== undefined);
+      if (format == 'comma' && !items.some(isBlob)) {
+        if (items.length) add(key, items.map(item => isPresent(item) ? toScalar(item) : '').join(','));
+      } else {
+        items.forEach((item, index) => {
+          // Arrays of objects need their index, to tell which fields belong to the same item
+          if (isNested(item)) addValue(`${key}[${index}]`, item);
+          else add(format == 'brackets' ? `${key}[]` : key, item);
+        });
+      }
+    } else if (isNested(value)) {
+      Object.keys(value).forEach(member => addValue(`${key}[${member}]`, value[member]));
+    } else {
+      add(key, value);
+    }
+  };
+
+  Object.keys(params || {}).forEach(key => addValue(key, params[key]));
+  return pairs;
+};
+
+export const encodeQueryString = (params, options = {}) => {
+  return flattenParams(params, options).map(pair => `${encodeURIComponent(pair[0])}=${encodeURIComponent(pair[1])}`).join('&');
+};
+
+// Appends the params to the url, after any query string it already has
+export const appendQueryString = (url, params, options) => {
+  const queryString = encodeQueryString(params, options);
+  if (!queryString) return url;
+  return `${url}${url.indexOf('?') == -1 ? '?' : '&'}${queryString}`;
+};
@@ -1,17 +1,123 @@
 import Requests from './Requests';
+import { createPaginationStrategy } from './Pagination';
+import RetryPolicy from './RetryPolicy';
+import { buildPath } from './Paths';
+import Subscription from './Subscription';
+import OfflineQueue from './OfflineQueue';
+import Persistence from './Persistence';
+import { createAbortError, createRequestError, defaultErrorParser, defaultStatusText, readErrorBody } from './Errors';
+import { xhrFetch } from './XHRTransport';
+import { queryKey, runQuery, toRequestParams } from './Query';
+import { addHook, callHooks, createHooks, globalHooks, hasHooks } from './LifecycleHooks';
 
-// Responses with 4XX/5XX error status codes will be accompanied by an error message based on this logic:
-//  1. If the error response body contains a string from the server, that message will be used, elsewise:
-//  2. statusTextOverride[status code] is used when set below, elsewise:
-//  3. response.statusText will be used.
-const statusTextOverride = {
-  401: 'Unauthorized, please login in order to complete this action',
-  403: 'Forbidden - you are not allowed to perform this action',
-  404: 'Page/Resource Not Found',
-  409: 'Conflict - unable to perform this action'
+// JSON.stringify() with object keys sorted, so that equal params always produce the same string
+const stableStringify = value => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value == 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Whether a field of a draft holds the same value as the record (see getDirtyFields())
+const isSameValue = (value1, value2) => {
+  if (value1 === value2) return true;
+  if (value1 instanceof Date || value2 instanceof Date) {
+    return value1 instanceof Date && value2 instanceof Date && value1.getTime() == value2.getTime();
+  }
+  return !!value1 && !!value2 && typeof value1 == 'object' && typeof value2 == 'object' && stableStringify(value1) == stableStringify(value2);
+};
+
+// The envelope option describes how records (and metadata such as totals or cursors) are wrapped inside response bodies:
+//  1. By default a body is either an array of records or a single record.
+//  2. { records: 'data', meta: 'meta' } reads the records from body.data and the metadata from body.meta, eg. { data: [...], meta: { total: 3 } }
+//  3. A function (body, response) => ({ records, meta }) can extract them in any other way.
+const createEnvelopeExtractor = envelope => {
+  if (typeof envelope == 'function') return envelope;
+  if (!envelope) return data => ({ records: data, meta: null });
+
+  return data => {
+    if (Array.isArray(data) || !data) return { records: data, meta: null };
+    return {
+      records: envelope.records ? data[envelope.records] : data,
+      meta: envelope.meta ? data[envelope.meta] : null
+    };
+  };
+};
+
+// The size (in bytes) of the body of the response, as announced by its Content-Length header, or null
+const contentLength = response => {
+  const length = (response && response.headers && response.headers.get) ? response.headers.get('Content-Length') : null;
+  return (length === null || length === undefined || length === '' || isNaN(length)) ? null : Number(length);
 };
 
+// Returned by getFieldErrors() & getDirtyFields() when there are none, so that the same object is returned every time
+const noFieldErrors = Object.freeze({});
+const noDirtyFields = Object.freeze([]);
+
+// The actions of the slice changing its records, dispatched through _recordActions so that onRecordsChanged hooks are called
+const recordActionNames = ['read', 'replaced', 'created', 'updated', 'deleted', 'optimisticCreated', 'optimisticUpdated', 'optimisticDeleted', 'settled', 'rolledBack'];
+
 class ReduxRESTClient {
+  // How many query()/where()/findBy() selectors are kept per client, the least recently used being dropped
+  static maxCachedSelectors = 100;
+
+  // How many requests the request log keeps by default, the oldest being dropped (see the requestLog option)
+  static requestLogSize = 100;
+
+  // Adds a hook called for the requests & records of every client (see LifecycleHooks.js). Returns a function removing it.
+  static addHook(name, hook) {
+    return addHook(globalHooks, name, hook);
+  }
+
+  // The status codes of responses rejecting a mutation because the record changed on the server (see resolveConflict())
+  static conflictStatuses = [409, 412];
+
+  // How the response of a custom endpoint changes the slice (see defineEndpoint())
+  static endpointResponses = ['read', 'replace', 'remove', 'ignore'];
+
+  // Routes used by each CRUD action, the path of each route is appended to the path option (:id being the record's id)
+  static routePresets = {
+    // PUT/DELETE requests are sent to the collection's path, with the record (or its id) in the body
+    collection: {
+      fetch: { method: 'GET', path: '' },
+      fetchById: { method: 'GET', path: '/:id' },
+      create: { method: 'POST', path: '' },
+      update: { method: 'PUT', path: '' },
+      patch: { method: 'PATCH', path: '' },
+      delete: { method: 'DELETE', path: '' }
+    },
+    rails: {
+      fetch: { method: 'GET', path: '' },
+      fetchById: { method: 'GET', path: '/:id' },
+      create: { method: 'POST', path: '' },
+      update: { method: 'PATCH', path: '/:id' },
+      patch: { method: 'PATCH', path: '/:id' },
+      delete: { method: 'DELETE', path: '/:id' }
+    },
+    jsonServer: {
+      fetch: { method: 'GET', path: '' },
+      fetchById: { method: 'GET', path: '/:id' },
+      create: { method: 'POST', path: '' },
+      update: { method: 'PUT', path: '/:id' },
+      patch: { method: 'PATCH', path: '/:id' },
+      delete: { method: 'DELETE', path: '/:id' }
+    }
+  };
+
+  // routes may be the name of a preset, or an object of routes (by action) overriding those of the collection preset
+  static createRoutes(routes = 'collection') {
+    if (typeof routes == 'string') {
+      if (!ReduxRESTClient.routePresets[routes]) {
+        throw new Error(`Unknown routes preset "${routes}" (expected one of: ${Object.keys(ReduxRESTClient.routePresets).join(', ')})`);
+      }
+      return ReduxRESTClient.routePresets[routes];
+    }
+    return Object.assign({}, ReduxRESTClient.routePresets.collection, routes);
+  }
+
   /**
    *  USAGE:
    *  Sub-class this to define a new type of resource. createSlice() which you must pass in from the redux library will
@@ -74,8 +180,96 @@ class ReduxRESTClient {
       throw new Error('You must supply a second argument to the RecordSet constructor (options) containing at least createSlice() and createSelector() from @reduxjs/toolkit');
     }
 
-    if (options.fetchFunction) {
-      Requests.fetchFunction = options.fetchFunction;
+    // Optimistic mode applies create/update/delete to the slice before the server responds (see create() etc.)
+    this._optimistic = !!options.optimistic;
+    this._tempIdCounter = 0;
+
+    // The id of the most recent request sent for each request key (see doRequest())
+    this._latestRequestIds = {};
+
+    // The requests still awaiting a response (by request id), so they can be cancelled
+    this._inFlightRequests = {};
+
+    // true to cancel the previous request of the same type when a new one is sent, or an array of the request types to do this for
+    this._takeLatest = options.takeLatest || false;
+
+    // Adapts the client to a document format (eg. JsonApiAdapter), see the adapter methods called by _receive(), _serializeBody() etc.
+    this._adapter = options.adapter || null;
+
+    // The method & path of the request sent by each CRUD action, see ReduxRESTClient.routePresets
+    this._routes = ReduxRESTClient.createRoutes(options.routes || (this._adapter && this._adapter.routes) || 'collection');
+
+    // Relationships to other clients by name, see hasMany() & belongsTo()
+    this._relationships = {};
+
+    // The memoized selectors of query()/where()/findBy() by query key, so that equal queries share a selector (see _cachedSelector())
+    this._querySelectors = new Map();
+
+    // The push channel connection opened by subscribe(), if any
+    this._subscription = null;
+
+    // In offline mode mutations are queued, then sent in order (see OfflineQueue.js & replay())
+    this._offlineQueue = options.offline ? new OfflineQueue(this, options.offline === true ? {} : options.offline) : null;
+    this._replaying = null;
+
+    // With the persist option the slice is saved to storage (see Persistence.js, rehydrate() & createPersistMiddleware())
+    this._persistence = options.persist ? new Persistence(this, options.persist === true ? {} : options.persist) : null;
+    this._persistedState = null;
+    this._persistTimer = null;
+
+    // How records are read from/written to request bodies, see deserialize(), serialize() & createEnvelopeExtractor()
+    if (options.deserialize) this.deserialize = options.deserialize;
+    if (options.serialize) this.serialize = options.serialize;
+    if (options.serializeQuery) this.serializeQuery = options.serializeQuery;
+    this._extractEnvelope = createEnvelopeExtractor(options.envelope);
+
+    // The lifecycle hooks of this client (see LifecycleHooks.js & addHook())
+    this._hooks = createHooks(options.hooks);
+
+    // With the requestLog option the requests sent are logged in the slice (see getRequestLog()), up to its size
+    const requestLog = options.requestLog === true ? {} : options.requestLog;
+    this._requestLogSize = requestLog ? (requestLog.size || ReduxRESTClient.requestLogSize) : 0;
+
+    // The action saveDraft() sends the changed fields of a draft with: 'patch' (default) or 'update'
+    this._draftAction = options.draftAction || 'patch';
+    if (this._draftAction != 'patch' && this._draftAction != 'update') {
+      throw new Error(`Unknown draftAction "${this._draftAction}" (expected one of: patch, update)`);
+    }
+
+    // Remembers the ETag/Last-Modified of the responses received, to send reads (If-None-Match) & mutations (If-Match) conditionally
+    this._conditionalRequests = options.conditionalRequests !== false;
+
+    // How request bodies are encoded: 'json', 'multipart' or 'urlencoded' (see Encoders.js), params holding files are always sent as multipart
+    this._encoding = options.encoding || 'json';
+
+    // How long (ms) fetched data is considered fresh by fetchIfNeeded()/fetchByIdIfNeeded()
+    this._ttl = options.ttl === undefined ? 5 * 60 * 1000 : options.ttl;
+
+    // How the errors of failed requests are read, see Errors.js & _createHttpError()
+    this._errorParser = options.errorParser || null;
+    this._statusTextOverride = Object.assign({}, defaultStatusText, options.statusTextOverride);
+
+    // Failed requests are retried when options.retry is true or an object of RetryPolicy options (eg. { maxAttempts: 5 })
+    this._retryPolicy = options.retry ? new RetryPolicy(options.retry === true ? {} : options.retry) : null;
+
+    // Strategy used by fetchPage()/fetchNextPage()/fetchPreviousPage(), see Pagination.js
+    this._paginationStrategy = createPaginationStrategy(options.pagination || 'page', options.paginationOptions);
+
+    // Each client sends its requests through its own transport, inheriting what it does not configure from Requests.defaults.
+    // The 'xhr' transport sends them with XMLHttpRequest, to report the progress of uploads (see XHRTransport.js & getProgress()).
+    this._transport = options.transport || 'fetch';
+    if (this._transport != 'fetch' && this._transport != 'xhr') {
+      throw new Error(`Unknown transport "${this._transport}" (expected one of: fetch, xhr)`);
+    }
+    this._requests = new Requests({
+      fetchFunction: options.fetchFunction || (this._transport == 'xhr' ? xhrFetch : null),
+      requestInterceptors: options.requestInterceptors,
+      responseInterceptors: options.responseInterceptors,
+      queryFormat: options.queryFormat,
+      skipNulls: options.skipNulls
+    });
+    if (this._adapter) {
+      this._adapter.install(this, options.adapterOptions || {});
     }
 
     this._sortFunction = (rec1, rec2) => {
@@ -89,54 +283,470 @@ class ReduxRESTClient {
       name: resourceName,
       initialState: {
         isLoaded: false,
-        records: [],
+        // Records are stored normalized: entities maps each id to its record, ids lists the ids in sort order
+        ids: [],
+        entities: {},
         error: null,
-        requests: {}
+        requests: {},
+        // The key of the most recent request of each requestType
+        latestRequests: {},
+        pending: {},
+        // When each query (by request key) and each record (by id) was last received from the server (see fetchIfNeeded())
+        queries: {},
+        fetchedAt: {},
+        // Metadata (eg. totals, cursors) received along with the records of each query (by request key), see the envelope option
+        meta: {},
+        // Everything fetched before this time is stale (see invalidate())
+        invalidatedAt: null,
+        // The state of the push channel connection (see subscribe()): status is 'closed', 'connecting', 'open', 'reconnecting' or 'failed'
+        subscription: {
+          status: 'closed',
+          attempt: 0,
+          error: null,
+          lastEventAt: null
+        },
+        // The mutations queued in offline mode, in the order they are sent (see OfflineQueue.js)
+        queue: [],
+        // Whether the state saved by the persist option was loaded (see rehydrate())
+        rehydrated: false,
+        // The requests sent, oldest first, when the requestLog option is set
+        requestLog: [],
+        // The unsaved changes made to records (by id), see editDraft() & saveDraft()
+        drafts: {},
+        // The { etag, lastModified } last received for each query (by request key) and each record (by id), see the conditionalRequests option
+        validators: { queries: {}, records: {} },
+        // The mutations rejected because the record changed on the server (by id), see resolveConflict()
+        conflicts: {},
+        pagination: {
+          params: null,
+          currentPage: null,
+          totalCount: null,
+          hasMore: false,
+          pages: {}
+        }
       },
       reducers: {
         read: (state, action) => {
           state.isLoaded = true;
-          action.payload.records.forEach(newRec =>  this._createOrUpdate(state.records, newRec));
-          state.records.sort(this._sortFunction);
+          this._createOrUpdateAll(state, action.payload.records);
+          this._markFetched(state, action.payload);
+          if (action.payload.queryKey && action.payload.meta) {
+            state.meta[action.payload.queryKey] = action.payload.meta;
+          }
+        },
+        replaced: (state, action) => {
+          // The records received are now all the records of the slice
+          state.isLoaded = true;
+          state.ids = [];
+          state.entities = {};
+          this._createOrUpdateAll(state, action.payload.records);
+          this._markFetched(state, action.payload);
         },
         created: (state, action) => {
-          action.payload.records.forEach(newRec =>  this._createOrUpdate(state.records, newRec));
-          state.records.sort(this._sortFunction);
+          this._createOrUpdateAll(state, action.payload.records);
+          this._markFetched(state, action.payload);
         },
         updated: (state, action) => {
-          action.payload.records.forEach(newRec =>  this._createOrUpdate(state.records, newRec));
-          state.records.sort(this._sortFunction);
+          this._createOrUpdateAll(state, action.payload.records);
+          this._markFetched(state, action.payload);
         },
         deleted: (state, action) => {
           if (action.payload[this._idField]) {
-            state.records = state.records.filter(rec => rec[this._idField] != action.payload[this._idField]);
-            state.records.sort(this._sortFunction);
+            this._remove(state, action.payload[this._idField]);
+          } else if (action.payload.ids) {
+            action.payload.ids.forEach(id => this._remove(state, id));
           } else if (action.payload.all) {
-            state.records = [];
+            state.ids = [];
+            state.entities = {};
+          }
+        },
+        optimisticCreated: (state, action) => {
+          action.payload.records.forEach(newRec => this._trackPending(state, newRec[this._idField], 'create'));
+          this._createOrUpdateAll(state, action.payload.records);
+        },
+        optimisticUpdated: (state, action) => {
+          action.payload.records.forEach(newRec => this._trackPending(state, newRec[this._idField], 'update'));
+          this._createOrUpdateAll(state, action.payload.records);
+        },
+        optimisticDeleted: (state, action) => {
+          const id = action.payload[this._idField];
+          this._trackPending(state, id, 'delete');
+          this._remove(state, id);
+        },
+        settled: (state, action) => {
+          // The server confirmed an optimistic change, action.payload.records (if any) holds the server's version
+          const id = action.payload.id;
+          const pending = state.pending[id];
+          if (pending && pending.requestType != 'create' && pending.inFlight > 1) {
+            // Other changes to the record are still in flight and keep being shown, the server's version is restored if they are rolled back
+            pending.inFlight--;
+            const confirmed = (action.payload.records || []).find(rec => rec[this._idField] == id);
+            if (confirmed) pending.original = Object.assign(pending.original || {}, confirmed);
+            return;
+          }
+          delete state.pending[id];
+          if (pending && pending.requestType == 'create') {
+            // Replace the record stored under the temporary client id with the one returned by the server
+            this._remove(state, id);
+          }
+          this._createOrUpdateAll(state, action.payload.records || []);
+          this._markFetched(state, action.payload);
+        },
+        rolledBack: (state, action) => {
+          // The server rejected an optimistic change, restore the record as it was before the change was applied
+          const id = action.payload.id;
+          const pending = state.pending[id];
+          if (!pending) return;
+          if (pending.requestType != 'create' && pending.inFlight > 1) {
+            // Restoring the original would also undo the changes still in flight, the last of them to finish restores it (or confirms them)
+            pending.inFlight--;
+            return;
+          }
+          delete state.pending[id];
+          this._remove(state, id);
+          if (pending.original) {
+            this._createOrUpdate(state, pending.original);
+          }
+        },
+        draftEdited: (state, action) => {
+          const { id, changes } = action.payload;
+          state.drafts[id] = Object.assign({}, state.drafts[id], changes);
+        },
+        draftDiscarded: (state, action) => {
+          delete state.drafts[action.payload.id];
+        },
+        draftSaved: (state, action) => {
+          // Fields edited again while the draft was being saved stay in the draft, those holding the record's value do not
+          const { id, changes } = action.payload;
+          const draft = state.drafts[id];
+          if (!draft) return;
+          const record = state.entities[id];
+          Object.keys(draft).forEach(field => {
+            if (isSameValue(draft[field], changes[field]) || (record && isSameValue(draft[field], record[field]))) delete draft[field];
+          });
+          if (!Object.keys(draft).length) delete state.drafts[id];
+        },
+        notModified: (state, action) => {
+          // The server answered a conditional request with 304 Not Modified: the cached query/record is still current
+          const { queryKey, id, fetchedAt } = action.payload;
+          if (queryKey) {
+            state.queries[queryKey] = { fetchedAt: fetchedAt, stale: false };
+          }
+          if (id !== undefined && state.entities[id]) {
+            state.fetchedAt[id] = fetchedAt;
+          }
+        },
+        conflicted: (state, action) => {
+          // local is the version of the record the rejected mutation tried to save (null for a delete), server is undefined until fetched
+          const { id, requestType, params, statusCode, error } = action.payload;
+          const record = state.entities[id];
+          state.conflicts[id] = {
+            id: id,
+            requestType: requestType,
+            statusCode: statusCode,
+            params: params,
+            local: requestType == 'delete' ? null : Object.assign({}, requestType == 'patch' ? record : {}, params, { [this._idField]: id }),
+            server: undefined,
+            serverValidator: null,
+            error: error || null
+          };
+        },
+        conflictServerVersion: (state, action) => {
+          // record is null when the record was deleted on the server
+          const conflict = state.conflicts[action.payload.id];
+          if (!conflict) return;
+          conflict.server = action.payload.record;
+          conflict.serverValidator = action.payload.validator || null;
+        },
+        conflictResolved: (state, action) => {
+          const { id, validator } = action.payload;
+          delete state.conflicts[id];
+          if (validator) {
+            state.validators.records[id] = validator;
+          } else {
+            delete state.validators.records[id];
+          }
+        },
+        invalidated: (state, action) => {
+          // Marks data as stale, so that fetchIfNeeded()/fetchByIdIfNeeded() will fetch it again
+          if (action.payload.queryKey) {
+            if (state.queries[action.payload.queryKey]) {
+              state.queries[action.payload.queryKey].stale = true;
+            }
+          } else if (action.payload.id !== undefined) {
+            delete state.fetchedAt[action.payload.id];
+          } else {
+            state.invalidatedAt = action.payload.at;
           }
         },
+        pageRead: (state, action) => {
+          const payload = action.payload;
+          if (stableStringify(state.pagination.params) != stableStringify(payload.params)) {
+            // Pages of a different query, forget the pages of the previous query
+            state.pagination.pages = {};
+            state.pagination.totalCount = null;
+          }
+          state.pagination.params = payload.params;
+          state.pagination.currentPage = payload.page;
+          state.pagination.hasMore = payload.hasMore;
+          if (payload.totalCount !== null && payload.totalCount !== undefined) {
+            state.pagination.totalCount = payload.totalCount;
+          }
+          state.pagination.pages[payload.page] = {
+            ids: payload.ids,
+            next: payload.next || null,
+            previous: payload.previous || null
+          };
+        },
         updateRequest: (state, action) => {
-          state.requests[action.payload.requestType] = {
-            status: action.payload.status,
-            statusCode: action.payload.statusCode || null,
-            data: action.payload.data,
-            error: action.payload.error || null
+          const payload = action.payload;
+          const key = payload.key || payload.requestType;
+          const existing = state.requests[key];
+          if (existing && existing.requestId && payload.requestId && payload.requestId < existing.requestId) {
+            // A newer request with the same key has since been sent, its status takes precedence
+            return;
+          }
+          state.latestRequests[payload.requestType] = key;
+          state.requests[key] = {
+            requestType: payload.requestType,
+            requestId: payload.requestId || null,
+            status: payload.status,
+            statusCode: payload.statusCode || null,
+            // The attempt (starting at 1) currently being made, out of maxAttempts, see the retry option
+            attempt: payload.attempt || 1,
+            maxAttempts: payload.maxAttempts || 1,
+            data: payload.data,
+            error: payload.error || null,
+            // { phase: 'upload'/'download', loaded, total, percent } as reported by the transport, see requestProgress
+            progress: null
+          };
+        },
+        requestProgress: (state, action) => {
+          const { key, requestId, phase, loaded, total } = action.payload;
+          const request = state.requests[key];
+          if (!request || request.requestId !== requestId || request.status != 'pending') return;
+          request.progress = {
+            phase: phase,
+            loaded: loaded,
+            total: total,
+            percent: total ? Math.min(100, Math.round(loaded / total * 100)) : null
           };
         },
+        requestLogged: (state, action) => {
+          // Adds the entry of a request just sent, or updates it (by requestId) as it is retried or completes
+          const entry = action.payload;
+          const existing = state.requestLog.find(other => other.requestId === entry.requestId);
+          if (existing) {
+            Object.assign(existing, entry);
+            return;
+          }
+          state.requestLog.push(entry);
+          if (state.requestLog.length > this._requestLogSize) {
+            state.requestLog.splice(0, state.requestLog.length - this._requestLogSize);
+          }
+        },
+        requestLogCleared: state => {
+          state.requestLog = [];
+        },
         clearRequest: (state, action) => {
-          state.requests[action.payload.requestType] = null;
+          const key = action.payload.key || state.latestRequests[action.payload.requestType] || action.payload.requestType;
+          state.requests[key] = null;
+        },
+        enqueued: (state, action) => {
+          state.queue.push(action.payload);
+        },
+        queueChanged: (state, action) => {
+          const entry = state.queue.find(entry => entry.id == action.payload.id);
+          if (entry) Object.assign(entry, action.payload);
+        },
+        dequeued: (state, action) => {
+          const { id, tempId, realId } = action.payload;
+          state.queue = state.queue.filter(entry => entry.id != id);
+          if (realId === undefined || realId === tempId) return;
+          // The server assigned its id to a created record, the mutations queued after its creation referred to its temporary id
+          state.queue.forEach(entry => {
+            if (entry.recordId !== tempId) return;
+            entry.recordId = realId;
+            if (entry.params && entry.params[this._idField] === tempId) {
+              entry.params[this._idField] = realId;
+            }
+          });
+        },
+        queueRestored: (state, action) => {
+          state.queue = action.payload.entries;
+        },
+        rehydrated: (state, action) => {
+          const saved = action.payload.state;
+          state.rehydrated = true;
+          if (!saved) return;
+
+          // Records received since the page was loaded are more recent than the saved ones
+          const records = saved.ids.filter(id => !state.entities[id]).map(id => saved.entities[id]);
+          this._createOrUpdateAll(state, records);
+          records.forEach(rec => {
+            const id = rec[this._idField];
+            if (saved.fetchedAt[id]) state.fetchedAt[id] = saved.fetchedAt[id];
+          });
+          if (records.length) state.isLoaded = true;
+
+          state.queries = Object.assign({}, saved.queries, state.queries);
+          state.meta = Object.assign({}, saved.meta, state.meta);
+          // The ids of the saved requests were given by the previous page load, the requests sent from now on are numbered from 1 again
+          const requests = {};
+          Object.keys(saved.requests || {}).forEach(key => {
+            requests[key] = Object.assign({}, saved.requests[key], { requestId: null });
+          });
+          state.requests = Object.assign(requests, state.requests);
+          state.latestRequests = Object.assign({}, saved.latestRequests, state.latestRequests);
+          if (saved.invalidatedAt !== null && saved.invalidatedAt !== undefined) {
+            state.invalidatedAt = Math.max(state.invalidatedAt || 0, saved.invalidatedAt);
+          }
+        },
+        subscriptionChanged: (state, action) => {
+          Object.assign(state.subscription, action.payload);
         },
         clear: state => {
           state.isLoaded = false;
-          state.records = [];
+          state.ids = [];
+          state.entities = {};
           state.requests = {};
+          state.latestRequests = {};
+          state.pending = {};
+          state.queries = {};
+          state.fetchedAt = {};
+          state.meta = {};
+          state.validators = { queries: {}, records: {} };
+          state.conflicts = {};
+          state.invalidatedAt = null;
+          state.pagination = { params: null, currentPage: null, totalCount: null, hasMore: false, pages: {} };
         }
       }
     });
+
+    this._recordActions = {};
+    recordActionNames.forEach(name => {
+      this._recordActions[name] = payload => dispatch => {
+        const result = dispatch(this._slice.actions[name](payload));
+        this._recordsChanged(name, payload);
+        return result;
+      };
+    });
+
+    // Custom endpoints by name, see defineEndpoint()
+    this._endpoints = {};
+    Object.keys(options.endpoints || {}).forEach(name => this.defineEndpoint(name, options.endpoints[name]));
+  }
+
+  // Adds an action named after the endpoint (eg. client.login()), sending a custom request as the CRUD actions send theirs. definition:
+  //   method:      the HTTP method (default: 'GET')
+  //   path:        the path template appended to the path option (eg. '/:id/archive'), or url: a path template used as it is (eg. '/api/login')
+  //   response:    how the records returned change the slice: 'read' (default, merged in), 'replace' (they replace all the records),
+  //                'remove' (the record with the given id, or those returned, are removed) or 'ignore' (the slice is unchanged)
+  //   requestType: what the request is tracked as (default: the endpoint's name)
+  //   options:     the default options of the action (eg. { takeLatest: true })
+  // The action takes (id, params, options) when the path holds :id, (params, options) otherwise. params fill in the other :parameters of
+  // the path, the others are sent as the query string (GET) or the body. Requests are tracked under the id (see the requestKey option).
+  // The action has selectors of its request attached: getRequest(key), getStatus(key), getError(key) & getFieldErrors(key).
+  defineEndpoint(name, definition = {}) {
+    if (name in this) {
+      throw new Error(`The "${name}" endpoint of ${this.resource} would replace its ${name}() method`);
+    }
+    const response = definition.response || 'read';
+    if (ReduxRESTClient.endpointResponses.indexOf(response) == -1) {
+      throw new Error(`Unknown endpoint response "${response}" (expected one of: ${ReduxRESTClient.endpointResponses.join(', ')})`);
+    }
+
+    const endpoint = {
+      method: (definition.method || 'GET').toUpperCase(),
+      template: definition.url || `${this.path}${definition.path || ''}`,
+      response: response,
+      requestType: definition.requestType || name,
+      options: definition.options || {}
+    };
+    const hasId = /:id\b/.test(endpoint.template);
+
+    const action = (...args) => {
+      const id = hasId ? args[0] : undefined;
+      const params = (hasId ? args[1] : args[0]) || {};
+      const options = Object.assign({}, endpoint.options, hasId ? args[2] : args[1]);
+      return this._sendToEndpoint(endpoint, id, params, options);
+    };
+    action.getRequest = key => this.getRequest(endpoint.requestType, key);
+    action.getStatus = key => this.getRequestStatus(endpoint.requestType, key);
+    action.getError = key => this.getError(endpoint.requestType, key);
+    action.getFieldErrors = key => this.getFieldErrors(endpoint.requestType, key);
+
+    this._endpoints[name] = endpoint;
+    this[name] = action;
+    return action;
+  }
+
+  _sendToEndpoint(endpoint, id, params, options) {
+    const onSuccess = (dispatch, response, request) => {
+      const body = response.status == 204 ? Promise.resolve(null) : response.json();
+      // The body of a response that is ignored is only kept as the request's data, it may not even be JSON
+      return (endpoint.response == 'ignore' ? body.catch(() => null) : body).then(data => {
+        if (endpoint.response != 'ignore') {
+          const received = this._receive(data, response, dispatch);
+          if (endpoint.response == 'remove') {
+            const ids = id === undefined ? received.records.map(rec => rec[this._idField]) : [id];
+            dispatch(this._recordActions.deleted({ ids: ids }));
+            dispatch(this._cascadeDelete(ids));
+          } else {
+            const changed = { records: received.records, fetchedAt: Date.now(), validator: this._readValidator(response) };
+            dispatch(endpoint.response == 'replace' ? this._recordActions.replaced(changed) : this._recordActions.read(changed));
+          }
+        }
+        this._updateRequest(dispatch, request, response, null, data);
+      });
+    };
+
+    const built = buildPath(endpoint.template, id === undefined ? params : Object.assign({}, params, { id: id }));
+    // Bodies are built as those of the CRUD actions (see serialize() & the adapter option)
+    const isGet = endpoint.method == 'GET';
+    const requestParams = isGet ? Object.assign({}, built.params, this._queryParams(options)) : this._serializeBody(endpoint.requestType, built.params, id);
+    return this.doRequest(endpoint.requestType, endpoint.method, built.path, requestParams, onSuccess, null, this._mutationOptions(options, id));
+  }
+
+  // Declares that each record has many records of another client, whose foreignKey holds the id of this client's record.
+  // eg. Projects.hasMany('tasks', Tasks, { foreignKey: 'projectId', cascade: true })
+  // With options.cascade the cached child records are removed from the other client when a record is deleted.
+  hasMany(name, client, options = {}) {
+    if (!options.foreignKey) {
+      throw new Error('RecordSet#hasMany() must be called with options.foreignKey');
+    }
+    this._relationships[name] = { type: 'hasMany', client: client, foreignKey: options.foreignKey, cascade: !!options.cascade };
+    return this;
+  }
+
+  // Declares that each record's foreignKey holds the id of a record of another client.
+  // eg. Tasks.belongsTo('project', Projects, { foreignKey: 'projectId' })
+  belongsTo(name, client, options = {}) {
+    if (!options.foreignKey) {
+      throw new Error('RecordSet#belongsTo() must be called with options.foreignKey');
+    }
+    this._relationships[name] = { type: 'belongsTo', client: client, foreignKey: options.foreignKey };
+    return this;
+  }
+
+  // See Requests.js, returns a function that removes the interceptor
+  addRequestInterceptor(interceptor) {
+    return this._requests.addRequestInterceptor(interceptor);
+  }
+
+  addResponseInterceptor(interceptor) {
+    return this._requests.addResponseInterceptor(interceptor);
+  }
+
+  // Adds a hook called for this client's requests & records only (see LifecycleHooks.js). Returns a function removing it.
+  addHook(name, hook) {
+    return addHook(this._hooks, name, hook);
   }
 
+  // The records already stored are sorted again by the next action adding or updating records
   setSortFunction(fn) {
     this._sortFunction = fn;
+    this._sortChanged = true;
   }
 
   getReducer() {
@@ -152,227 +762,1582 @@ class ReduxRESTClient {
   }
 
   getAll() {
-    return state => state[`${this.resource}`].records;
+    if (!this._selectAll) {
+      // Shared by every selector reading the full list, so the array is only rebuilt when the slice's records change
+      this._selectAll = this.createSelector(
+        state => state[`${this.resource}`].ids,
+        state => state[`${this.resource}`].entities,
+        (ids, entities) => ids.map(id => entities[id])
+      );
+    }
+    return this._selectAll;
   }
 
   get(id) {
+    return state => state[`${this.resource}`].entities[id];
+  }
+
+  // Selects the records matching the query (see Query.js for the query language), eg.
+  //   query({ where: { status: 'open', likes: { $gt: 10 } }, orderBy: '-createdAt', limit: 20 })
+  query(query = {}) {
+    return this._cachedSelector(`query:${queryKey(query)}`, () => this.createSelector(
+      this.getAll(),
+      records => runQuery(records, query)
+    ));
+  }
+
+  where(conditions, options = {}) {
+    return this.query(Object.assign({}, options, { where: conditions }));
+  }
+
+  findBy(conditions, options = {}) {
+    const query = Object.assign({}, options, { where: conditions });
+    return this._cachedSelector(`findBy:${queryKey(query)}`, () => this.createSelector(
+      this.getAll(),
+      records => {
+        const list = runQuery(records, Object.assign({}, query, { limit: 1 }));
+        return list.length ? list[0] : null;
+      }
+    ));
+  }
+
+  _cachedSelector(key, createSelector) {
+    let selector = this._querySelectors.get(key);
+    if (selector) {
+      // Moved last, so that the least recently used selectors are dropped first
+      this._querySelectors.delete(key);
+    } else {
+      selector = createSelector();
+      if (this._querySelectors.size >= ReduxRESTClient.maxCachedSelectors) {
+        this._querySelectors.delete(this._querySelectors.keys().next().value);
+      }
+    }
+    this._querySelectors.set(key, selector);
+    return selector;
+  }
+
+  // Returns a selector that returns the record with the given id with the changes of its draft applied (see editDraft()), the same
+  // object until either changes
+  getDraft(id) {
+    return this._cachedSelector(`draft:${id}`, () => this.createSelector(
+      state => state[`${this.resource}`].entities[id],
+      state => state[`${this.resource}`].drafts[id],
+      (record, draft) => draft ? Object.assign({}, record, draft) : record
+    ));
+  }
+
+  // Returns a selector that returns the names of the fields whose draft value differs from the record's
+  getDirtyFields(id) {
+    return this._cachedSelector(`dirtyFields:${id}`, () => this.createSelector(
+      state => state[`${this.resource}`].entities[id],
+      state => state[`${this.resource}`].drafts[id],
+      (record, draft) => this._dirtyFields(record, draft)
+    ));
+  }
+
+  hasUnsavedChanges(id) {
+    const selectDirtyFields = this.getDirtyFields(id);
+    return state => selectDirtyFields(state).length > 0;
+  }
+
+  _dirtyFields(record, draft) {
+    if (!draft) return noDirtyFields;
+    const fields = Object.keys(draft).filter(field => !isSameValue(draft[field], record ? record[field] : undefined));
+    return fields.length ? fields : noDirtyFields;
+  }
+
+  // Returns a selector that returns the conflict of the record with the given id (see resolveConflict()), or null:
+  // { id, requestType, statusCode, params, local, server, serverValidator, error }, server being undefined until fetched
+  getConflict(id) {
+    return state => state[`${this.resource}`].conflicts[id] || null;
+  }
+
+  getConflicts() {
     return this.createSelector(
-      state => state[`${this.resource}`].records,
-      records => records.find(rec => rec[this._idField] == id)
+      state => state[`${this.resource}`].conflicts,
+      conflicts => Object.keys(conflicts).map(id => conflicts[id])
     );
   }
 
-  _filterRecords(records, conditions) {
-    let list = records;
-    Object.keys(conditions).forEach(key => {
-      list = list.filter(rec => rec[key] == conditions[key]);
-    });
-    return list;
+  isPending(id) {
+    return state => !!state[`${this.resource}`].pending[id];
   }
 
-  where(conditions) {
+  getPending() {
     return this.createSelector(
-      state => state[`${this.resource}`].records,
-      records => this._filterRecords(records, conditions)
+      this.getAll(),
+      state => state[`${this.resource}`].pending,
+      (records, pending) => records.filter(rec => pending[rec[this._idField]])
     );
   }
 
-  findBy(conditions) {
+  hasMore() {
+    return state => state[`${this.resource}`].pagination.hasMore;
+  }
+
+  getCurrentPage() {
+    return state => state[`${this.resource}`].pagination.currentPage;
+  }
+
+  getTotalCount() {
+    return state => state[`${this.resource}`].pagination.totalCount;
+  }
+
+  getPageIds(page) {
+    return state => {
+      const pagination = state[`${this.resource}`].pagination;
+      const pageInfo = pagination.pages[page === undefined ? pagination.currentPage : page];
+      return pageInfo ? pageInfo.ids : [];
+    };
+  }
+
+  getPage(page) {
     return this.createSelector(
-      state => state[`${this.resource}`].records,
-      records => {
-        const list = this._filterRecords(records, conditions);
-        return list.length ? list[0] : null;
+      this.getPageIds(page),
+      state => state[`${this.resource}`].entities,
+      (ids, entities) => ids.map(id => entities[id]).filter(rec => rec)
+    );
+  }
+
+  // Returns a selector that returns the record with the given id, along with its related records (see hasMany() & belongsTo()),
+  // eg. Projects.getWith(id, ['tasks']) => { _id: id, ..., tasks: [...] }
+  getWith(id, include = []) {
+    const relationships = include.map(name => {
+      if (!this._relationships[name]) {
+        throw new Error(`RecordSet#getWith(): "${name}" is not a relationship of ${this.resource}`);
+      }
+      return Object.assign({ name: name }, this._relationships[name]);
+    });
+
+    return this.createSelector(
+      this.get(id),
+      ...relationships.map(rel => rel.type == 'hasMany' ? rel.client.getAll() : state => state[`${rel.client.resource}`].entities),
+      (record, ...related) => {
+        if (!record) return record;
+
+        const result = Object.assign({}, record);
+        relationships.forEach((rel, index) => {
+          if (rel.type == 'hasMany') {
+            result[rel.name] = related[index].filter(child => child[rel.foreignKey] == record[this._idField]);
+          } else {
+            result[rel.name] = related[index][record[rel.foreignKey]] || null;
+          }
+        });
+        return result;
       }
     );
   }
 
-  getRequest(requestType) {
-    return state => state[`${this.resource}`].requests[requestType];
+  // Returns a selector that returns the metadata received with the records of the given request (see the envelope option),
+  // eg. getMeta('fetch', params), or getMeta() for the most recent fetch().
+  getMeta(requestType = 'fetch', key) {
+    return state => {
+      const slice = state[`${this.resource}`];
+      const requestKey = key === undefined ? slice.latestRequests[requestType] : this._requestKey(requestType, key);
+      return (requestKey && slice.meta[requestKey]) || null;
+    };
+  }
+
+  getFetchedAt(params = {}) {
+    return state => {
+      const query = state[`${this.resource}`].queries[this._requestKey('fetch', params)];
+      return query ? query.fetchedAt : null;
+    };
+  }
+
+  getFetchedAtById(id) {
+    return state => state[`${this.resource}`].fetchedAt[id] || null;
+  }
+
+  // Returns a selector that returns the mutations queued in offline mode (see replay()), in the order they are sent
+  getQueue() {
+    return state => state[`${this.resource}`].queue;
+  }
+
+  // Returns a selector that returns the queued mutations the server rejected, to be resolved by retryMutation() or discardMutation()
+  getFailedMutations() {
+    if (!this._selectFailedMutations) {
+      this._selectFailedMutations = this.createSelector(
+        state => state[`${this.resource}`].queue,
+        queue => queue.filter(entry => entry.status == 'failed')
+      );
+    }
+    return this._selectFailedMutations;
+  }
+
+  // Returns a selector that returns true once the state saved by the persist option was loaded (even if nothing had been saved)
+  isRehydrated() {
+    return state => state[`${this.resource}`].rehydrated;
+  }
+
+  // Returns a selector that returns the state of the push channel connection (see subscribe()): { status, attempt, error, lastEventAt }
+  getSubscription() {
+    return state => state[`${this.resource}`].subscription;
   }
 
-  getRequestStatus(requestType) {
+  // Returns a selector that returns just the status of the push channel connection: 'closed', 'connecting', 'open', 'reconnecting' or 'failed'
+  getSubscriptionStatus() {
+    return state => state[`${this.resource}`].subscription.status;
+  }
+
+  // Requests are tracked per request key: the request type (eg. 'fetchById') plus the params/id the request was sent with.
+  // When key is omitted, the selectors below return the most recent request of the given type.
+  getRequest(requestType, key) {
+    return state => {
+      const slice = state[`${this.resource}`];
+      const requestKey = key === undefined ? slice.latestRequests[requestType] : this._requestKey(requestType, key);
+      return requestKey ? slice.requests[requestKey] : undefined;
+    };
+  }
+
+  getRequestStatus(requestType, key) {
+    const selectRequest = this.getRequest(requestType, key);
     return state => {
-      const request = state[`${this.resource}`].requests[requestType];
+      const request = selectRequest(state);
       return request ? request.status : null;
     }
   }
 
-  getError(requestType) {
+  getError(requestType, key) {
     if (!requestType) {
       throw new Error('RecordSet#getError() must be called with a requestType argument');
     }
 
+    const selectRequest = this.getRequest(requestType, key);
     return state => {
-      const request = state[`${this.resource}`].requests[requestType];
+      const request = selectRequest(state);
       return request ? request.error : null;
     }
   }
 
-  clearRequest(requestType) {
+  // Returns a selector that returns how much of the given request is complete, in percent: that of its upload (while its body is being
+  // sent), then of its download, or null when unknown (eg. with the fetch transport, which does not report progress). 100 once succeeded.
+  getProgress(requestType, key) {
+    if (!requestType) {
+      throw new Error('RecordSet#getProgress() must be called with a requestType argument');
+    }
+
+    const selectRequest = this.getRequest(requestType, key);
+    return state => {
+      const request = selectRequest(state);
+      if (!request) return null;
+      if (request.status == 'succeeded') return 100;
+      return request.status == 'pending' && request.progress ? request.progress.percent : null;
+    };
+  }
+
+  // Returns a selector that returns the validation errors of the given request by field (eg. { email: ['has already been taken'] }),
+  // or an empty object
+  getFieldErrors(requestType, key) {
+    if (!requestType) {
+      throw new Error('RecordSet#getFieldErrors() must be called with a requestType argument');
+    }
+
+    const selectError = this.getError(requestType, key);
+    return state => {
+      const error = selectError(state);
+      return (error && error.fieldErrors) || noFieldErrors;
+    };
+  }
+
+  // Returns a selector that returns the entries of the request log (see the requestLog option), oldest first:
+  //   { requestId, requestType, key, method, url, params, status, statusCode, startedAt, duration, bytes, attempt, error }
+  // filter selects the entries holding the given values (eg. { requestType: 'fetch', status: 'failed' }), or is a function (entry => boolean).
+  getRequestLog(filter) {
+    const selectLog = state => state[`${this.resource}`].requestLog;
+    if (typeof filter == 'function') {
+      return this.createSelector(selectLog, log => log.filter(filter));
+    }
+    return this._cachedSelector(`requestLog:${queryKey(filter || {})}`, () => this.createSelector(
+      selectLog,
+      log => filter ? log.filter(entry => Object.keys(filter).every(field => entry[field] === filter[field])) : log
+    ));
+  }
+
+  clearRequestLog() {
+    return this._slice.actions.requestLogCleared();
+  }
+
+  clearRequest(requestType, key) {
     if (!requestType) {
       throw new Error('RecordSet#clearRequest() must be called with a requestType argument');
     }
 
-    return this._slice.actions.clearRequest({ requestType: requestType });
+    const payload = { requestType: requestType };
+    if (key !== undefined) {
+      payload.key = this._requestKey(requestType, key);
+    }
+    return this._slice.actions.clearRequest(payload);
+  }
+
+  _requestKey(requestType, key) {
+    if (key === undefined || key === null) return requestType;
+    if (typeof key == 'object') {
+      return Object.keys(key).length ? `${requestType}:${stableStringify(key)}` : requestType;
+    }
+    return `${requestType}:${key}`;
   }
 
+  // Kept for subclasses overriding it, prefer deserialize()
   onRecordReceived(record) {
   }
 
-  // May be called externally for custom (non-REST) requests
-  doRequest(requestType, method, path, params = {}, onSuccess, onFailure) {
+  // Called with each record received from the server, returns the record to store in the slice (eg. with date strings turned into Dates).
+  // Override this or pass options.deserialize to customize (the default calls onRecordReceived(), which it replaces).
+  deserialize(record) {
+    this.onRecordReceived(record);
+    return record;
+  }
+
+  // Called with the params of create()/update()/patch(), returns the request body to send. Override this or pass options.serialize to customize.
+  serialize(params) {
+    return params;
+  }
+
+  // Extracts the records (and any metadata) from a response body (see the envelope & adapter options), then deserializes each record
+  _receive(data, response, dispatch) {
+    const envelope = (this._adapter ? this._adapter.receive(this, data, response, dispatch) : this._extractEnvelope(data, response)) || {};
+    const records = (envelope.records === undefined || envelope.records === null) ? [] : [].concat(envelope.records);
+    return {
+      records: records.map(rec => this.deserialize(rec)),
+      meta: envelope.meta === undefined ? null : envelope.meta
+    };
+  }
+
+  // The body of a create()/update()/patch() request, id being the id of the record updated
+  _serializeBody(requestType, params, id) {
+    const body = this.serialize(params);
+    return this._adapter ? this._adapter.serialize(this, body, requestType, id) : body;
+  }
+
+  // The key of a fetch() request: its params, plus any query params built from its options (which also select different records)
+  _fetchKey(params, options = {}) {
+    const queryParams = this._queryParams(options);
+    return Object.keys(queryParams).length ? Object.assign({}, params, queryParams) : params;
+  }
+
+  // Query params built from the options of an action: those of options.query (see serializeQuery()), plus those built by the adapter
+  // (eg. JSON:API's include/fields/filter/page)
+  _queryParams(options) {
+    const params = options.query ? this.serializeQuery(options.query) : {};
+    return this._adapter && this._adapter.getQueryParams ? Object.assign(params, this._adapter.getQueryParams(options)) : params;
+  }
+
+  // The params selecting on the server the records that query(query) selects from the slice, sent by fetch(params, { query }) (see
+  // toRequestParams() in Query.js). Override this or pass options.serializeQuery to customize.
+  serializeQuery(query) {
+    return this._adapter && this._adapter.serializeQuery ? this._adapter.serializeQuery(this, query) : toRequestParams(query);
+  }
+
+  // The error of a request the server responded to with a 4XX/5XX status code, body being its (parsed) response body.
+  // The message is the one found in the body by the errorParser option, the adapter or defaultErrorParser() (the first one finding
+  // anything), elsewise the statusTextOverride option's message for the status code, elsewise response.statusText.
+  _createHttpError(response, body) {
+    const parsers = [
+      this._errorParser,
+      this._adapter && this._adapter.parseError ? (body, response) => this._adapter.parseError(this, body, response) : null,
+      defaultErrorParser
+    ];
+    let parsed = null;
+    parsers.some(parser => {
+      parsed = parser ? parser(body, response) : null;
+      return !!parsed;
+    });
+
+    const retryOn = (this._retryPolicy || RetryPolicy.defaults).retryOn;
+    return createRequestError('http', Object.assign({}, parsed, {
+      status: response.status,
+      message: (parsed && parsed.message) || this._statusTextOverride[response.status] || response.statusText,
+      fieldErrors: (parsed && parsed.fieldErrors) || {},
+      code: (parsed && parsed.code !== undefined) ? parsed.code : null,
+      retryable: retryOn.indexOf(response.status) != -1
+    }));
+  }
+
+  // May be called externally for custom (non-REST) requests.
+  // options.key identifies the request among others of the same requestType (eg. the id or params it was sent with).
+  // options.takeLatest cancels any other request of the same requestType still in flight (defaults to the takeLatest constructor option).
+  // options.signal is an AbortSignal that cancels the request when aborted.
+  // options.retry overrides the retry constructor option for this request (false to not retry it, or RetryPolicy options).
+  // options.headers are sent along with the request.
+  // options.onNotModified(dispatch, response, request) handles 304 responses (to conditional requests), in place of onFailure.
+  doRequest(requestType, method, path, params = {}, onSuccess, onFailure, options = {}) {
     return dispatch => {
-      this._updateRequest(dispatch, requestType);
+      if (this._isTakeLatest(requestType, options)) {
+        this._cancelInFlight(requestType);
+      }
+
+      // Each request remembers its id, so responses to requests superseded by a newer request (with the same key) can be told apart
+      this._lastRequestId = (this._lastRequestId || 0) + 1;
+      const retryPolicy = this._getRetryPolicy(options);
+      const request = {
+        requestType: requestType,
+        key: this._requestKey(requestType, options.key),
+        requestId: this._lastRequestId,
+        attempt: 1,
+        maxAttempts: retryPolicy ? retryPolicy.maxAttempts : 1,
+        // What the request log & hooks report about the request (see _reportRequest())
+        method: method,
+        url: path,
+        params: params,
+        startedAt: Date.now()
+      };
+      this._latestRequestIds[request.key] = request.requestId;
+      this._updateRequest(dispatch, request);
+
+      // The response to a superseded GET request is ignored entirely. Other requests still change the records they were sent to change,
+      // but the status of their request is not recorded (see the updateRequest reducer).
+      const isStale = () => method == 'GET' && this._latestRequestIds[request.key] !== request.requestId;
 
-      const onFetched = response => {
+      // Once cancelled (or completed) whatever else happens to the request is ignored, eg. a response arriving after cancel()
+      let settled = false;
+      const settle = handler => result => {
+        if (settled) return;
+        settled = true;
+        delete this._inFlightRequests[request.requestId];
+        if (isStale()) {
+          this._reportRequest(dispatch, request, { status: 'superseded' });
+          return;
+        }
+        return handler(result);
+      };
+
+      const onFetched = settle(response => {
+        if (response.status == 304 && options.onNotModified) {
+          // onNotModified is reponsible for calling this._updateRequest(dispatch, request, response), like onSuccess
+          return options.onNotModified(dispatch, response, request);
+        }
         if (response.ok) {
           if (onSuccess) {
             // onSuccess function when provided is reponsible for:
             // 1. Updating any record(s)
             // 2. Afterwards onSuccess() must update the request info by calling:
-            //    this._updateRequest(dispatch, requestType, response, null, data
-            onSuccess(dispatch, response);
+            //    this._updateRequest(dispatch, request, response, null, data)
+            return onSuccess(dispatch, response, request);
           } else {
-            this._updateRequest(dispatch, requestType, response, null, data);
+            this._updateRequest(dispatch, request, response);
           }
         } else {
           // Request completed but the server responded with an error status code (4XX/5XX)
           if (onFailure) {
             // onFailure if provided, is reponsible for calling:
-            // this._updateRequest(dispatch, requestType, response)
-            onFailure(dispatch, requestType, response);
+            // this._updateRequest(dispatch, request, response)
+            return onFailure(dispatch, request, response);
           } else {
-            this._updateRequest(dispatch, requestType, response);
+            return this._updateRequest(dispatch, request, response);
           }
         }
-      };
+      });
 
-      const onRequestFailure = error => {
-        // Request failed (could not reach the server, so no response will be available)
+      const onRequestFailure = settle(error => {
+        // Request failed (could not reach the server, or was cancelled, so no response will be available)
         if (onFailure) {
-          // onFailure if provided, is response for calling this._updateRequest(dispatch, requestType, null, error)
-          onFailure(dispatch, requestType, null, error);
+          // onFailure if provided, is response for calling this._updateRequest(dispatch, request, null, error)
+          return onFailure(dispatch, request, null, error);
+        } else {
+          this._updateRequest(dispatch, request, null, error);
+        }
+      });
+
+      const controller = typeof AbortController != 'undefined' ? new AbortController() : null;
+      this._inFlightRequests[request.requestId] = {
+        request: request,
+        promise: null,
+        cancel: () => {
+          if (controller) controller.abort();
+          // Settle right away, rather than relying on the fetch function to reject once aborted
+          onRequestFailure(createAbortError());
+        }
+      };
+      if (options.signal) {
+        if (options.signal.aborted) {
+          this._inFlightRequests[request.requestId].cancel();
         } else {
-          this._updateRequest(dispatch, requestType, null, error);
+          options.signal.addEventListener('abort', () => this._inFlightRequests[request.requestId] && this._inFlightRequests[request.requestId].cancel());
         }
+      }
+
+      const onProgress = phase => progress => {
+        if (settled || isStale()) return;
+        dispatch(this._slice.actions.requestProgress({
+          key: request.key,
+          requestId: request.requestId,
+          phase: phase,
+          loaded: progress.loaded,
+          total: progress.total
+        }));
+      };
+      const requestOptions = { encoding: options.encoding || this._encoding };
+      if (this._transport == 'xhr') {
+        // Only the xhr transport reports progress
+        requestOptions.onUploadProgress = onProgress('upload');
+        requestOptions.onDownloadProgress = onProgress('download');
+      }
+      if (controller) {
+        requestOptions.signal = controller.signal;
+      }
+
+      const send = () => {
+        return this._requests.doRequest(method, path, params, requestOptions, Object.assign({}, options.headers)).then(response => {
+          if (!response.ok && retryPolicy && retryPolicy.shouldRetry(request.attempt, method, response)) {
+            return retry(response);
+          }
+          return onFetched(response);
+        }, error => {
+          if (retryPolicy && retryPolicy.shouldRetry(request.attempt, method, null, error)) {
+            return retry();
+          }
+          return onRequestFailure(error);
+        });
+      };
+
+      const retry = response => {
+        if (settled || isStale()) return;
+        const delay = retryPolicy.getDelay(request.attempt, response);
+        request.attempt++;
+        this._updateRequest(dispatch, request);
+        return new Promise(resolve => setTimeout(resolve, delay)).then(() => {
+          // The request may have been cancelled or superseded while waiting
+          if (settled || isStale()) return;
+          return send();
+        });
       };
 
-      return Requests.doRequest(method, path, params).then(onFetched, onRequestFailure);
+      if (settled) return Promise.resolve();
+      const promise = send();
+      if (this._inFlightRequests[request.requestId]) {
+        this._inFlightRequests[request.requestId].promise = promise;
+      }
+      return promise;
     };
   }
 
-  _updateRequest(dispatch, requestType, response, error, data) {
-    const params = { requestType: requestType };
+  // Cancels the request(s) of the given type still in flight: all of them, or only the one with the given key.
+  // Their status becomes 'cancelled', and their responses (should they still arrive) are ignored.
+  cancel(requestType, key) {
+    if (!requestType) {
+      throw new Error('RecordSet#cancel() must be called with a requestType argument');
+    }
+
+    return () => this._cancelInFlight(requestType, key);
+  }
+
+  _cancelInFlight(requestType, key) {
+    const requestKey = key === undefined ? null : this._requestKey(requestType, key);
+    Object.keys(this._inFlightRequests).forEach(requestId => {
+      const inFlight = this._inFlightRequests[requestId];
+      if (inFlight && inFlight.request.requestType == requestType && (!requestKey || inFlight.request.key == requestKey)) {
+        inFlight.cancel();
+      }
+    });
+  }
+
+  _getRetryPolicy(options) {
+    if (options.retry === undefined) return this._retryPolicy;
+    if (!options.retry) return null;
+    const retryOptions = options.retry === true ? {} : options.retry;
+    return this._retryPolicy ? this._retryPolicy.extend(retryOptions) : new RetryPolicy(retryOptions);
+  }
+
+  _isTakeLatest(requestType, options) {
+    const takeLatest = options.takeLatest === undefined ? this._takeLatest : options.takeLatest;
+    return Array.isArray(takeLatest) ? takeLatest.indexOf(requestType) != -1 : !!takeLatest;
+  }
+
+  // request is the object passed to onSuccess/onFailure by doRequest(), or just a requestType for requests made outside doRequest()
+  // Returns a promise resolving to the error stored (or null), once stored.
+  _updateRequest(dispatch, request, response, error, data) {
+    const params = typeof request == 'string' ? { requestType: request } : {
+      requestType: request.requestType,
+      key: request.key,
+      requestId: request.requestId,
+      attempt: request.attempt,
+      maxAttempts: request.maxAttempts
+    };
+    const report = () => {
+      dispatch(this._slice.actions.updateRequest(params));
+      this._reportRequest(dispatch, request, params, response);
+    };
     if (response) {
-      if (response.ok) {
+      // 304 Not Modified answers a conditional request: the data already received is still current
+      if (response.ok || response.status == 304) {
         params.status = 'succeeded'
         if (data) {
           params.data = data;
         }
         params.statusCode = response.status;
-        dispatch(this._slice.actions.updateRequest(params));
+        report();
       } else {
         params.status = 'failed';
 
-        const dispatchError = (text = null) => {
-          const message = text || statusTextOverride[response.status] || response.statusText;
-          params.error = { message: message };
-          dispatch(this._slice.actions.updateRequest(params));
+        const dispatchError = body => {
+          params.error = this._createHttpError(response, body);
+          report();
+          return params.error;
         };
 
-        response.text().then(text => dispatchError(text), () => dispatchError(response.statusText));
+        return readErrorBody(response).then(dispatchError, () => dispatchError(null));
       }
+    } else if (error && error.name == 'AbortError') {
+      params.status = 'cancelled';
+      params.error = createRequestError('cancelled', { message: 'The request was cancelled' });
+      report();
     } else if (error) {
       params.status = 'failed';
-      params.error = { message: error.message };
-      dispatch(this._slice.actions.updateRequest(params));
+      params.error = createRequestError('network', { message: error.message, retryable: true });
+      report();
     } else {
       params.status = 'pending';
-      dispatch(this._slice.actions.updateRequest(params));
+      report();
     }
+    return Promise.resolve(params.error || null);
   }
 
-  fetch(params = {}) {
-    const onSuccess = (dispatch, response) => {
+  // Logs the request (see the requestLog option) & calls the hooks (see LifecycleHooks.js) as it is sent, retried and completes
+  _reportRequest(dispatch, request, params, response) {
+    if (typeof request == 'string' || !request.startedAt) return;
+    const hookName = params.status == 'pending' ? 'onRequestStart' : (params.status == 'succeeded' ? 'onRequestSuccess' : 'onRequestError');
+    const hooks = [globalHooks, this._hooks];
+    const isRetry = params.status == 'pending' && request.attempt > 1;
+    if (!this._requestLogSize && (isRetry || !hasHooks(hooks, hookName))) return;
+
+    const entry = {
+      requestId: request.requestId,
+      requestType: request.requestType,
+      key: request.key,
+      method: request.method,
+      url: request.url,
+      params: request.params,
+      status: params.status,
+      statusCode: (response && response.status) || null,
+      startedAt: request.startedAt,
+      duration: params.status == 'pending' ? null : Date.now() - request.startedAt,
+      bytes: params.status == 'pending' ? null : contentLength(response),
+      attempt: request.attempt,
+      error: params.error || null
+    };
+    if (this._requestLogSize) {
+      dispatch(this._slice.actions.requestLogged(entry));
+    }
+    if (!isRetry) {
+      callHooks(hooks, hookName, Object.assign({ client: this }, entry));
+    }
+  }
+
+  _recordsChanged(action, payload) {
+    const hooks = [globalHooks, this._hooks];
+    if (!hasHooks(hooks, 'onRecordsChanged')) return;
+
+    let ids = [];
+    if (payload.records) {
+      ids = payload.records.map(rec => rec[this._idField]);
+    } else if (payload.ids) {
+      ids = payload.ids;
+    } else if (payload[this._idField] !== undefined) {
+      ids = [payload[this._idField]];
+    } else if (payload.id !== undefined) {
+      ids = [payload.id];
+    }
+    if (payload.id !== undefined && ids.indexOf(payload.id) == -1) {
+      // settled: the record stored under a temporary id was replaced by the server's
+      ids = [payload.id].concat(ids);
+    }
+    if (!ids.length && !payload.all) return;
+    callHooks(hooks, 'onRecordsChanged', { client: this, action: action, ids: payload.all ? null : ids });
+  }
+
+  fetch(params = {}, options = {}) {
+    const onSuccess = (dispatch, response, request) => {
       return response.json().then(data => {
-        const records = Array.isArray(data) ? data : [data];
+        const received = this._receive(data, response, dispatch);
+        dispatch(this._recordActions.read({
+          records: received.records,
+          meta: received.meta,
+          fetchedAt: Date.now(),
+          queryKey: request.key,
+          validator: this._readValidator(response)
+        }));
+        this._updateRequest(dispatch, request, response, null, data);
+      });
+    };
+    const onNotModified = (dispatch, response, request) => {
+      dispatch(this._slice.actions.notModified({ queryKey: request.key, fetchedAt: Date.now() }));
+      return this._updateRequest(dispatch, request, response);
+    };
+
+    // Params filling in the :parameters of the path are not sent as query params
+    const route = this._route('fetch', params);
+    const queryParams = this._queryParams(options);
+    const fetchKey = this._fetchKey(params, options);
+    return (dispatch, getState) => {
+      const requestOptions = Object.assign(this._requestOptions(options, fetchKey), {
+        headers: Object.assign(this._conditionalHeaders(getState, 'fetch', this._requestKey('fetch', fetchKey)), options.headers),
+        onNotModified: onNotModified
+      });
+      return this.doRequest('fetch', route.method, route.path, Object.assign({}, route.params, queryParams), onSuccess, null, requestOptions)(dispatch);
+    };
+  }
+
+  fetchPage(page = 1, params = {}, options = {}) {
+    return (dispatch, getState) => {
+      const currentPagination = getState()[`${this.resource}`].pagination;
+      const isSameQuery = stableStringify(currentPagination.params) == stableStringify(params);
+      const pageRequest = this._paginationStrategy.getParams(page, isSameQuery ? currentPagination : { pages: {} });
+
+      const onSuccess = (dispatch, response, request) => {
+        return response.json().then(data => {
+          const received = this._receive(data, response, dispatch);
+          const pageInfo = this._paginationStrategy.parse(response, received.records, page, received.meta);
+          dispatch(this._recordActions.read({ records: received.records, meta: received.meta, fetchedAt: Date.now(), queryKey: request.key }));
+          dispatch(this._slice.actions.pageRead(Object.assign({}, pageInfo, {
+            page: page,
+            params: params,
+            ids: received.records.map(rec => rec[this._idField])
+          })));
+          this._updateRequest(dispatch, request, response, null, data);
+        });
+      };
 
-        records.forEach(rec => this.onRecordReceived(rec));
+      const requestOptions = this._requestOptions(options, { page: page, params: params });
+      if (pageRequest.url) {
+        // The strategy provided the full url of the page (eg. from a Link header)
+        return this.doRequest('fetchPage', 'GET', pageRequest.url, {}, onSuccess, null, requestOptions)(dispatch);
+      }
+      const route = this._route('fetch', params);
+      const queryParams = Object.assign({}, route.params, this._queryParams(options), pageRequest.params);
+      return this.doRequest('fetchPage', route.method, route.path, queryParams, onSuccess, null, requestOptions)(dispatch);
+    };
+  }
+
+  fetchNextPage(options = {}) {
+    return (dispatch, getState) => {
+      const pagination = getState()[`${this.resource}`].pagination;
+      if (pagination.currentPage === null) {
+        return dispatch(this.fetchPage(1, pagination.params || {}, options));
+      }
+      if (!pagination.hasMore) {
+        return Promise.resolve();
+      }
+      return dispatch(this.fetchPage(pagination.currentPage + 1, pagination.params, options));
+    };
+  }
 
-        dispatch(this._slice.actions.read({ records: records }));
-        this._updateRequest(dispatch, 'fetch', response, null, data);
+  fetchPreviousPage(options = {}) {
+    return (dispatch, getState) => {
+      const pagination = getState()[`${this.resource}`].pagination;
+      if (!pagination.currentPage || pagination.currentPage <= 1) {
+        return Promise.resolve();
+      }
+      return dispatch(this.fetchPage(pagination.currentPage - 1, pagination.params, options));
+    };
+  }
+
+  fetchById(id, options = {}) {
+    const onSuccess = (dispatch, response, request) => {
+      return response.json().then(data => {
+        const records = this._receive(data, response, dispatch).records;
+        dispatch(this._recordActions.read({ records: records, fetchedAt: Date.now(), validator: this._readValidator(response) }));
+        this._updateRequest(dispatch, request, response, null, data);
       });
     };
+    const onNotModified = (dispatch, response, request) => {
+      dispatch(this._slice.actions.notModified({ id: id, fetchedAt: Date.now() }));
+      return this._updateRequest(dispatch, request, response);
+    };
+
+    // options.params fills in the :parameters of the path (eg. { projectId: 5 } for '/projects/:projectId/tasks')
+    const route = this._route('fetchById', options.params, id);
+    return (dispatch, getState) => {
+      const requestOptions = Object.assign(this._requestOptions(options, id), {
+        headers: Object.assign(this._conditionalHeaders(getState, 'fetchById', id), options.headers),
+        onNotModified: onNotModified
+      });
+      return this.doRequest('fetchById', route.method, route.path, this._queryParams(options), onSuccess, null, requestOptions)(dispatch);
+    };
+  }
+
+  // Like fetch(), but only sends the request if the records matching params were not fetched within the last ttl ms (options.ttl or
+  // the ttl constructor option), or were invalidated. When the same request is already in flight, its promise is returned instead.
+  fetchIfNeeded(params = {}, options = {}) {
+    return (dispatch, getState) => {
+      const key = this._requestKey('fetch', this._fetchKey(params, options));
+      const inFlight = this._findInFlight(key);
+      if (inFlight) return inFlight;
+
+      const slice = getState()[`${this.resource}`];
+      const query = slice.queries[key];
+      if (query && !query.stale && this._isFresh(slice, query.fetchedAt, options)) {
+        return Promise.resolve();
+      }
+      return dispatch(this.fetch(params, options));
+    };
+  }
+
+  fetchByIdIfNeeded(id, options = {}) {
+    return (dispatch, getState) => {
+      const inFlight = this._findInFlight(this._requestKey('fetchById', id));
+      if (inFlight) return inFlight;
+
+      const slice = getState()[`${this.resource}`];
+      if (slice.entities[id] && this._isFresh(slice, slice.fetchedAt[id], options)) {
+        return Promise.resolve();
+      }
+      return dispatch(this.fetchById(id, options));
+    };
+  }
+
+  // Marks data as stale: everything when called without arguments, or just the records fetched by fetch(params)
+  invalidate(params) {
+    if (params === undefined) {
+      return this._slice.actions.invalidated({ at: Date.now() });
+    }
+    return this._slice.actions.invalidated({ queryKey: this._requestKey('fetch', params) });
+  }
+
+  invalidateById(id) {
+    return this._slice.actions.invalidated({ id: id });
+  }
+
+  _isFresh(slice, fetchedAt, options) {
+    if (!fetchedAt) return false;
+    if (slice.invalidatedAt !== null && fetchedAt <= slice.invalidatedAt) return false;
+    const ttl = options.ttl === undefined ? this._ttl : options.ttl;
+    return Date.now() - fetchedAt < ttl;
+  }
+
+  _findInFlight(key) {
+    const requestId = Object.keys(this._inFlightRequests).find(requestId => this._inFlightRequests[requestId].request.key == key);
+    return requestId ? this._inFlightRequests[requestId].promise : null;
+  }
 
-    return this.doRequest('fetch', 'GET', this.path, params, onSuccess);
+  _markFetched(state, payload) {
+    if (this._conditionalRequests) this._storeValidators(state, payload);
+    if (!payload.fetchedAt) return;
+    (payload.records || []).forEach(rec => {
+      state.fetchedAt[rec[this._idField]] = payload.fetchedAt;
+    });
+    if (payload.queryKey) {
+      state.queries[payload.queryKey] = { fetchedAt: payload.fetchedAt, stale: false };
+    }
   }
 
-  fetchById(id) {
-    const onSuccess = (dispatch, response) => {
+  // payload.validator holds the ETag/Last-Modified of the response the records were received in (see _readValidator())
+  _storeValidators(state, payload) {
+    const records = payload.records || [];
+    if (payload.queryKey) {
+      if (payload.validator) state.validators.queries[payload.queryKey] = payload.validator;
+      else delete state.validators.queries[payload.queryKey];
+    }
+    records.forEach(rec => {
+      // Only a response holding just that record tells its version, records received otherwise (eg. in a list) may no longer match it
+      const id = rec[this._idField];
+      if (payload.validator && !payload.queryKey && records.length == 1) state.validators.records[id] = payload.validator;
+      else delete state.validators.records[id];
+    });
+  }
+
+  _readValidator(response) {
+    const get = name => (response && response.headers && response.headers.get) ? response.headers.get(name) : null;
+    const etag = get('ETag');
+    const lastModified = get('Last-Modified');
+    return (etag || lastModified) ? { etag: etag || null, lastModified: lastModified || null } : null;
+  }
+
+  // The headers making a request conditional on the version of the query (for fetch) or record last received: reads are answered with 304
+  // Not Modified when it did not change, mutations are rejected with 412 Precondition Failed when it did.
+  // getState is undefined when the action is called directly with dispatch, the request is then sent unconditionally.
+  _conditionalHeaders(getState, requestType, key) {
+    if (!this._conditionalRequests || !getState) return {};
+    const slice = getState()[`${this.resource}`];
+    if (!slice || !slice.validators) return {};
+    const isRead = requestType == 'fetch' || requestType == 'fetchById';
+    if (requestType == 'fetch' ? !slice.queries[key] : (isRead && !slice.entities[key])) {
+      // The cached data a 304 response would keep is no longer there
+      return {};
+    }
+    const validator = requestType == 'fetch' ? slice.validators.queries[key] : slice.validators.records[key];
+    if (!validator) return {};
+    if (validator.etag) return { [isRead ? 'If-None-Match' : 'If-Match']: validator.etag };
+    return { [isRead ? 'If-Modified-Since' : 'If-Unmodified-Since']: validator.lastModified };
+  }
+
+  create(params = {}, options = {}) {
+    if (this._isQueued(options)) {
+      return this._enqueue('create', undefined, params);
+    }
+    if (this._isOptimistic(options)) {
+      return this._optimisticCreate(params, options);
+    }
+
+    const onSuccess = (dispatch, response, request) => {
       return response.json().then(data => {
-        this.onRecordReceived(data);
-        dispatch(this._slice.actions.read({ records: [data] }));
-        this._updateRequest(dispatch, 'fetchById', response, null, data);
+        const records = this._receive(data, response, dispatch).records;
+        dispatch(this._recordActions.created({ records: records, fetchedAt: Date.now(), validator: this._readValidator(response) }));
+        this._updateRequest(dispatch, request, response, null, data);
       });
     };
 
-    return this.doRequest('fetchById', 'GET', `${this.path}/${id}`, {}, onSuccess);
+    const route = this._route('create', params);
+    return this.doRequest('create', route.method, route.path, this._serializeBody('create', params), onSuccess, null, this._mutationOptions(options));
+  }
+
+  update(params = {}, options = {}) {
+    return this._sendUpdate('update', params[this._idField], params, options);
+  }
+
+  // Sends only the given changes to the record with the given id, then merges the record returned by the server into the slice
+  patch(id, changes = {}, options = {}) {
+    return this._sendUpdate('patch', id, changes, options);
+  }
+
+  // Applies changes to the draft of the record with the given id, leaving the record itself unchanged until saveDraft()
+  editDraft(id, changes = {}) {
+    return this._slice.actions.draftEdited({ id: id, changes: changes });
   }
 
-  create(params = {}) {
-    const onSuccess = (dispatch, response) => {
+  discardDraft(id) {
+    return this._slice.actions.draftDiscarded({ id: id });
+  }
+
+  // Sends the changed fields of the draft of the record with the given id (see the draftAction option), then merges the record returned by
+  // the server into the slice. The saved fields are removed from the draft once the request succeeds, the draft is kept when it fails.
+  saveDraft(id, options = {}) {
+    return (dispatch, getState) => {
+      const slice = getState()[`${this.resource}`];
+      const draft = slice.drafts[id];
+      const changes = {};
+      this._dirtyFields(slice.entities[id], draft).forEach(field => {
+        changes[field] = draft[field];
+      });
+      if (!Object.keys(changes).length) {
+        if (draft) dispatch(this._slice.actions.draftDiscarded({ id: id }));
+        return Promise.resolve();
+      }
+
+      const requestType = this._draftAction;
+      const action = requestType == 'update' ? this.update(Object.assign({}, changes, { [this._idField]: id }), options) : this.patch(id, changes, options);
+      const queued = this._isQueued(options);
+      return Promise.resolve(dispatch(action)).then(result => {
+        // Mutations queued in offline mode are applied to the slice right away, so their draft is saved too
+        const request = queued ? null : this.getRequest(requestType, options.requestKey !== undefined ? options.requestKey : id)(getState());
+        if (queued || (request && request.status == 'succeeded')) {
+          dispatch(this._slice.actions.draftSaved({ id: id, changes: changes }));
+        }
+        return result;
+      });
+    };
+  }
+
+  delete(params = {}, options = {}) {
+    if (this._isQueued(options) && params[this._idField]) {
+      return this._enqueue('delete', params[this._idField], params);
+    }
+    if (this._isOptimistic(options) && params[this._idField]) {
+      return this._optimisticDelete(params, options);
+    }
+
+    const onSuccess = (dispatch, response, request) => {
+      dispatch(this._recordActions.deleted(params));
+      if (params[this._idField]) {
+        dispatch(this._cascadeDelete([params[this._idField]]));
+      }
+      this._updateRequest(dispatch, request, response, null, params);
+    };
+
+    const id = params[this._idField];
+    const route = this._route('delete', params, id);
+    return (dispatch, getState) => {
+      const requestOptions = this._conditionalMutationOptions(getState, 'delete', id, options);
+      return this.doRequest('delete', route.method, route.path, route.body, onSuccess, this._onConflict('delete', id, params, null), requestOptions)(dispatch);
+    };
+  }
+
+  // The method and path (with its :parameters filled in) of the route for the given action (see the routes option).
+  // body is what should be sent as the request body for a request with the given params: DELETE requests to a url that
+  // identifies the record (eg. DELETE /things/:id) are sent without a body.
+  _route(action, params = {}, id) {
+    const route = this._routes[action];
+    if (!route) {
+      throw new Error(`No route is defined for the "${action}" action of ${this.resource}`);
+    }
+
+    const pathParams = id === undefined ? params : Object.assign({}, params, { id: id });
+    const built = buildPath(`${this.path}${route.path || ''}`, pathParams);
+    const isMemberRoute = /:id\b/.test(route.path || '');
+    return {
+      method: route.method,
+      path: built.path,
+      params: built.params,
+      body: (route.method == 'DELETE' && isMemberRoute) ? null : params
+    };
+  }
+
+  _sendUpdate(requestType, id, params, options) {
+    if (this._isQueued(options)) {
+      return this._enqueue(requestType, id, params);
+    }
+    const optimistic = this._isOptimistic(options);
+
+    const onSuccess = (dispatch, response, request) => {
       return response.json().then(data => {
-        this.onRecordReceived(data);
-        dispatch(this._slice.actions.created({ records: [data] }));
-        this._updateRequest(dispatch, 'create', response, null, data);
+        const records = this._receive(data, response, dispatch).records;
+        const received = { records: records, fetchedAt: Date.now(), validator: this._readValidator(response) };
+        if (optimistic) {
+          dispatch(this._recordActions.settled(Object.assign({ id: id }, received)));
+        } else {
+          dispatch(this._recordActions.updated(received));
+        }
+        this._updateRequest(dispatch, request, response, null, data);
       });
     };
 
-    return this.doRequest('create', 'POST', this.path, params, onSuccess);
+    const identified = this._identify(requestType, id, params);
+    const route = this._route(requestType, identified, id);
+    const body = this._serializeBody(requestType, identified, id);
+    return (dispatch, getState) => {
+      const requestOptions = this._conditionalMutationOptions(getState, requestType, id, options);
+      if (optimistic) {
+        dispatch(this._recordActions.optimisticUpdated({ records: [Object.assign({}, params, { [this._idField]: id })] }));
+      }
+      const onFailure = this._onConflict(requestType, id, params, optimistic ? this._rollback(id) : null);
+      return this.doRequest(requestType, route.method, route.path, body, onSuccess, onFailure, requestOptions)(dispatch);
+    };
+  }
+
+  // Routes that do not identify the record by their path (eg. PATCH /things) identify it by the id in the params (sent as the body)
+  _identify(requestType, id, params) {
+    if (id === undefined || /:id\b/.test(this._routes[requestType].path || '')) return params;
+    return Object.assign({}, params, { [this._idField]: id });
+  }
+
+  // The options of a mutation of the record with the given id, sent conditionally on the version of the record last received
+  _conditionalMutationOptions(getState, requestType, id, options) {
+    const requestOptions = this._mutationOptions(options, id);
+    requestOptions.headers = Object.assign(id === undefined ? {} : this._conditionalHeaders(getState, requestType, id), options.headers);
+    return requestOptions;
+  }
+
+  // Mutations rejected with one of ReduxRESTClient.conflictStatuses (the record changed on the server since it was received) fail as any
+  // other, and are also recorded as a conflict (see getConflict()), the server's version of the record being fetched again
+  _onConflict(requestType, id, params, onFailure) {
+    return (dispatch, request, response, error) => {
+      const failed = Promise.resolve(onFailure ? onFailure(dispatch, request, response, error) : this._updateRequest(dispatch, request, response, error));
+      if (!response || id === undefined || ReduxRESTClient.conflictStatuses.indexOf(response.status) == -1) return failed;
+      return failed.then(requestError => {
+        dispatch(this._slice.actions.conflicted({ id: id, requestType: requestType, params: params, statusCode: response.status, error: requestError }));
+        return dispatch(this._fetchServerVersion(id, params)).then(() => requestError);
+      });
+    };
   }
 
-  update(params = {}) {
-    const onSuccess = (dispatch, response) => {
+  _fetchServerVersion(id, params) {
+    const onSuccess = (dispatch, response, request) => {
       return response.json().then(data => {
-        dispatch(this._slice.actions.updated({ records: [data] }));
-        this._updateRequest(dispatch, 'update', response, null, data);
+        const records = this._receive(data, response, dispatch).records;
+        dispatch(this._slice.actions.conflictServerVersion({ id: id, record: records.length ? records[0] : null, validator: this._readValidator(response) }));
+        this._updateRequest(dispatch, request, response, null, data);
       });
     };
+    const onFailure = (dispatch, request, response, error) => {
+      if (response && response.status == 404) {
+        dispatch(this._slice.actions.conflictServerVersion({ id: id, record: null }));
+      }
+      return this._updateRequest(dispatch, request, response, error);
+    };
+
+    // The params of the mutation fill in the :parameters of the path (eg. projectId), the others are not sent
+    const route = this._route('fetchById', params, id);
+    return this.doRequest('fetchConflict', route.method, route.path, {}, onSuccess, onFailure, this._requestOptions({}, id));
+  }
+
+  // Resolves the conflict of the record with the given id (see getConflict()) by keeping:
+  //   'server' (default): the server's version, which replaces the record in the slice (removing it when it was deleted on the server)
+  //   'local':            the local version, the rejected mutation being sent again, conditionally on the server's version this time
+  //   a record:           that record (eg. both versions merged), sent as the rejected mutation was (with update() when it was a delete)
+  // options are passed to the action sending the request, if any.
+  resolveConflict(id, resolution = 'server', options = {}) {
+    return (dispatch, getState) => {
+      const conflict = getState()[`${this.resource}`].conflicts[id];
+      if (!conflict) return Promise.resolve();
+
+      if (resolution == 'server') {
+        dispatch(this._slice.actions.conflictResolved({ id: id, validator: conflict.serverValidator }));
+        if (conflict.server === undefined) {
+          // The server's version could not be fetched after the conflict, try again
+          return dispatch(this.fetchById(id, Object.assign({ params: conflict.params }, options)));
+        }
+        if (conflict.server === null) {
+          dispatch(this._recordActions.deleted({ [this._idField]: id }));
+          dispatch(this._cascadeDelete([id]));
+        } else {
+          dispatch(this._recordActions.updated({ records: [conflict.server], fetchedAt: Date.now(), validator: conflict.serverValidator }));
+        }
+        return Promise.resolve();
+      }
 
-    return this.doRequest('update', 'PUT', this.path, params, onSuccess);
+      dispatch(this._slice.actions.conflictResolved({ id: id, validator: conflict.serverValidator }));
+      const params = Object.assign({}, resolution == 'local' ? conflict.params : resolution, { [this._idField]: id });
+      if (conflict.requestType == 'delete' && resolution == 'local') {
+        return dispatch(this.delete(params, options));
+      }
+      if (conflict.requestType == 'patch') {
+        return dispatch(this.patch(id, resolution == 'local' ? conflict.params : resolution, options));
+      }
+      return dispatch(this.update(params, options));
+    };
+  }
+
+  _requestOptions(options, key) {
+    // The options given to an action (eg. { takeLatest: true }) plus the key identifying its request
+    return Object.assign({}, options, { key: key });
   }
 
-  delete(params = {}) {
-    const onSuccess = (dispatch, response) => {
-      dispatch(this._slice.actions.deleted(params));
-      this._updateRequest(dispatch, 'delete', response, null, params);
+  // create()/update()/patch()/delete() may track their request under a key of their own (options.requestKey, eg. that of the form
+  // sending it, see useCreate() in hooks.js) rather than the record's id
+  _mutationOptions(options, key) {
+    return this._requestOptions(options, options.requestKey !== undefined ? options.requestKey : key);
+  }
+
+  // Connects to a push channel (Server-Sent Events or a WebSocket, see Subscription.js) and applies the created/updated/deleted events
+  // received to the slice. Returns an action returning the Subscription (whose close() disconnects), replacing any previous subscription.
+  subscribe(options = {}) {
+    return dispatch => {
+      if (this._subscription) {
+        this._subscription.close();
+      }
+      this._subscription = new Subscription(this, dispatch, options);
+      return this._subscription.open();
     };
+  }
+
+  unsubscribe() {
+    return () => {
+      if (this._subscription) {
+        this._subscription.close();
+        this._subscription = null;
+      }
+    };
+  }
+
+  // Applies an event received by a subscription, action being 'created', 'updated' or 'deleted'.
+  // The records of deleted events may be just ids.
+  _receiveEvent(dispatch, action, records) {
+    if (action == 'deleted') {
+      const ids = records.map(rec => (rec && typeof rec == 'object') ? rec[this._idField] : rec);
+      dispatch(this._recordActions.deleted({ ids: ids }));
+      dispatch(this._cascadeDelete(ids));
+      return;
+    }
+    if (!this._recordActions[action]) {
+      throw new Error(`Subscription events can not be mapped to the "${action}" action (expected one of: created, updated, deleted)`);
+    }
+    dispatch(this._recordActions[action]({ records: records.map(rec => this.deserialize(rec)), fetchedAt: Date.now() }));
+  }
+
+  // Removes the cached records of hasMany relationships with cascade set, that belonged to the deleted records (and so on)
+  _cascadeDelete(ids) {
+    return (dispatch, getState) => {
+      Object.keys(this._relationships).forEach(name => {
+        const rel = this._relationships[name];
+        if (rel.type != 'hasMany' || !rel.cascade) return;
+
+        const childState = getState()[`${rel.client.resource}`];
+        const childIds = childState.ids.filter(childId => ids.some(id => childState.entities[childId][rel.foreignKey] == id));
+        if (childIds.length) {
+          dispatch(rel.client._recordActions.deleted({ ids: childIds }));
+          dispatch(rel.client._cascadeDelete(childIds));
+        }
+      });
+    };
+  }
+
+  // Sends the mutations queued in offline mode, in order. Stops at the first mutation that could not reach the server (it is sent again by
+  // the next replay(), which happens whenever connectivity returns), or that the server rejected (see retryMutation() & discardMutation()).
+  replay() {
+    return (dispatch, getState) => {
+      if (!this._offlineQueue) {
+        throw new Error('RecordSet#replay() can only be called on clients created with the offline option');
+      }
+      this._offlineQueue.watch(() => dispatch(this.replay()));
+      if (this._replaying) return this._replaying;
+
+      const stop = () => {
+        this._replaying = null;
+      };
+      const next = () => {
+        const entry = getState()[`${this.resource}`].queue[0];
+        if (!entry || entry.status == 'failed' || !this._offlineQueue.isOnline()) {
+          return stop();
+        }
+        dispatch(this._slice.actions.queueChanged({ id: entry.id, status: 'sending', error: null }));
+        return dispatch(this._sendQueued(entry)).then(sent => sent ? next() : stop());
+      };
+
+      // Mutations queued while replaying are sent by the same replay
+      this._replaying = Promise.resolve().then(next).catch(error => {
+        stop();
+        throw error;
+      });
+      return this._replaying;
+    };
+  }
+
+  // Sends the failed queued mutation with the given id again, with new params when given, then resumes replaying the queue
+  retryMutation(id, params) {
+    return (dispatch, getState) => {
+      const changes = { id: id, status: 'queued', error: null };
+      if (params !== undefined) {
+        changes.params = params;
+      }
+      dispatch(this._slice.actions.queueChanged(changes));
+      this._persistQueue(getState);
+      return dispatch(this.replay());
+    };
+  }
+
+  // Removes the queued mutation with the given id and reverts its change to the slice, then resumes replaying the queue.
+  // Discarding a create also discards the mutations of the created record queued after it.
+  discardMutation(id) {
+    return (dispatch, getState) => {
+      const queue = getState()[`${this.resource}`].queue;
+      const entry = queue.find(entry => entry.id == id);
+      if (!entry) return Promise.resolve();
+
+      const discarded = entry.requestType == 'create' ? queue.filter(other => other.recordId === entry.recordId) : [entry];
+      discarded.forEach(other => dispatch(this._slice.actions.dequeued({ id: other.id })));
+
+      if (getState()[`${this.resource}`].pending[entry.recordId]) {
+        dispatch(this._recordActions.rolledBack({ id: entry.recordId }));
+      } else {
+        // The record's original version was already replaced by the server's response to an earlier mutation, fetch it again
+        dispatch(this.invalidateById(entry.recordId));
+      }
+      this._persistQueue(getState);
+      return dispatch(this.replay());
+    };
+  }
+
+  // Loads the mutations queued (in storage) before the page was loaded, applies them to the slice again and replays them
+  restoreQueue() {
+    return (dispatch, getState) => {
+      if (!this._offlineQueue) {
+        throw new Error('RecordSet#restoreQueue() can only be called on clients created with the offline option');
+      }
+
+      return this._offlineQueue.load().then(entries => {
+        const queue = getState()[`${this.resource}`].queue;
+        const restored = entries.filter(entry => !queue.some(queued => queued.id == entry.id));
+        restored.forEach(entry => {
+          this._applyQueued(dispatch, entry);
+          // Temporary ids generated from now on must not collide with those of the restored records
+          const match = String(entry.recordId).match(/^__tmp_.*_(\d+)$/);
+          if (match) this._tempIdCounter = Math.max(this._tempIdCounter, parseInt(match[1], 10));
+        });
+        dispatch(this._slice.actions.queueRestored({ entries: restored.concat(queue) }));
+        this._persistQueue(getState);
+        return dispatch(this.replay());
+      });
+    };
+  }
+
+  // Loads the state saved by the persist option, merging its records into the slice (records already received take precedence).
+  // Records are rehydrated with the time they were fetched, so fetchIfNeeded() fetches those older than the ttl again.
+  rehydrate() {
+    return dispatch => {
+      if (!this._persistence) {
+        throw new Error('RecordSet#rehydrate() can only be called on clients created with the persist option');
+      }
+      // A saved state that can not be read is discarded, rather than preventing the app from starting
+      return this._persistence.load().catch(() => null).then(state => {
+        dispatch(this._slice.actions.rehydrated({ state: state }));
+      });
+    };
+  }
+
+  // Saves the slice now, see also createPersistMiddleware()
+  persist() {
+    return (dispatch, getState) => {
+      if (!this._persistence) {
+        throw new Error('RecordSet#persist() can only be called on clients created with the persist option');
+      }
+      return this._persistence.save(getState()[`${this.resource}`]);
+    };
+  }
+
+  // Removes the saved state
+  clearPersisted() {
+    return () => this._persistence ? this._persistence.clear() : Promise.resolve();
+  }
+
+  // Called by the persist middleware after each action: saves the slice (at most once every throttle ms) when it changed
+  _persistIfChanged(getState, throttle) {
+    const sliceState = getState()[`${this.resource}`];
+    if (!this._persistence || !sliceState || sliceState === this._persistedState) return;
+    this._persistedState = sliceState;
+    if (this._persistTimer) return;
+
+    this._persistTimer = setTimeout(() => {
+      this._persistTimer = null;
+      // Saving fails when the storage is full, the slice will be saved again after its next change
+      this._persistence.save(getState()[`${this.resource}`]).catch(() => {
+        this._persistedState = null;
+      });
+    }, throttle);
+  }
 
-    return this.doRequest('delete', 'DELETE', this.path, params, onSuccess);
+  _isQueued(options) {
+    return !!this._offlineQueue && options.offline !== false;
+  }
+
+  _enqueue(requestType, recordId, params) {
+    return (dispatch, getState) => {
+      // Created records are stored under a temporary id until the server assigns the real one (as in optimistic mode)
+      const entry = this._offlineQueue.createEntry(requestType, requestType == 'create' ? this._generateTempId() : recordId, params);
+      this._applyQueued(dispatch, entry);
+      dispatch(this._slice.actions.enqueued(entry));
+      this._persistQueue(getState);
+      return dispatch(this.replay());
+    };
+  }
+
+  // Applies a queued mutation to the slice, as an optimistic change
+  _applyQueued(dispatch, entry) {
+    const record = Object.assign({}, entry.params, { [this._idField]: entry.recordId });
+    if (entry.requestType == 'create') {
+      dispatch(this._recordActions.optimisticCreated({ records: [record] }));
+    } else if (entry.requestType == 'delete') {
+      dispatch(this._recordActions.optimisticDeleted({ [this._idField]: entry.recordId }));
+    } else {
+      dispatch(this._recordActions.optimisticUpdated({ records: [record] }));
+    }
+  }
+
+  // Sends a queued mutation, returns a promise resolving to true once the server accepted it
+  _sendQueued(entry) {
+    return (dispatch, getState) => {
+      const id = entry.recordId;
+      let sent = false;
+
+      const onSuccess = (dispatch, response, request) => {
+        const received = (entry.requestType == 'delete' || response.status == 204) ? Promise.resolve(null) : response.json();
+        return received.then(data => {
+          const records = data === null ? [] : this._receive(data, response, dispatch).records;
+          dispatch(this._recordActions.settled({ id: id, records: records, fetchedAt: Date.now() }));
+          if (entry.requestType == 'delete') {
+            dispatch(this._cascadeDelete([id]));
+          }
+          const realId = (entry.requestType == 'create' && records.length) ? records[0][this._idField] : undefined;
+          dispatch(this._slice.actions.dequeued({ id: entry.id, tempId: id, realId: realId }));
+          this._persistQueue(getState);
+          this._updateRequest(dispatch, request, response, null, data === null ? entry.params : data);
+          sent = true;
+        });
+      };
+
+      const onFailure = (dispatch, request, response, error) => {
+        return this._updateRequest(dispatch, request, response, error).then(requestError => {
+          // Mutations that could not reach the server (or may succeed later, eg. after a 503) stay queued,
+          // those the server rejected wait for the app to retry or discard them
+          const isRejected = !!response && !(requestError && requestError.retryable);
+          dispatch(this._slice.actions.queueChanged({ id: entry.id, status: isRejected ? 'failed' : 'queued', error: isRejected ? requestError : null }));
+          this._persistQueue(getState);
+        });
+      };
+
+      const requestType = entry.requestType;
+      const params = requestType == 'create' ? (entry.params || {}) : this._identify(requestType, id, entry.params || {});
+      const route = this._route(requestType, params, requestType == 'create' ? undefined : id);
+      const body = requestType == 'delete' ? route.body : this._serializeBody(requestType, params, requestType == 'create' ? undefined : id);
+      const key = requestType == 'create' ? undefined : id;
+      return this.doRequest(requestType, route.method, route.path, body, onSuccess, onFailure, this._requestOptions({}, key))(dispatch).then(() => sent);
+    };
+  }
+
+  _persistQueue(getState) {
+    // The queue is still kept in the slice when it can not be saved (eg. the storage quota is exceeded)
+    this._offlineQueue.save(getState()[`${this.resource}`].queue).catch(() => {});
+  }
+
+  _isOptimistic(options) {
+    return options.optimistic === undefined ? this._optimistic : !!options.optimistic;
+  }
+
+  _generateTempId() {
+    this._tempIdCounter++;
+    return `__tmp_${this.resource}_${this._tempIdCounter}`;
+  }
+
+  _trackPending(state, id, requestType) {
+    // Only the first in-flight change to a record remembers the original, so rolling back restores the last confirmed version.
+    // The changes in flight are counted, the record staying pending until the last of them settles or is rolled back.
+    if (state.pending[id]) {
+      state.pending[id].inFlight++;
+      return;
+    }
+    const original = state.entities[id];
+    state.pending[id] = {
+      requestType: requestType,
+      original: (original && requestType != 'create') ? JSON.parse(JSON.stringify(original)) : null,
+      inFlight: 1
+    };
+  }
+
+  _rollback(id) {
+    return (dispatch, request, response, error) => {
+      dispatch(this._recordActions.rolledBack({ id: id }));
+      return this._updateRequest(dispatch, request, response, error);
+    };
+  }
+
+  _optimisticCreate(params, options) {
+    // The record is shown immediately under a temporary client id, until the server assigns the real one
+    const tempId = this._generateTempId();
+    const tempRecord = Object.assign({}, params, { [this._idField]: tempId });
+
+    const onSuccess = (dispatch, response, request) => {
+      return response.json().then(data => {
+        dispatch(this._recordActions.settled({ id: tempId, records: this._receive(data, response, dispatch).records, fetchedAt: Date.now() }));
+        this._updateRequest(dispatch, request, response, null, data);
+      });
+    };
+
+    return dispatch => {
+      dispatch(this._recordActions.optimisticCreated({ records: [tempRecord] }));
+      const route = this._route('create', params);
+      return this.doRequest('create', route.method, route.path, this._serializeBody('create', params), onSuccess, this._rollback(tempId), this._mutationOptions(options))(dispatch);
+    };
+  }
+
+  _optimisticDelete(params, options) {
+    const id = params[this._idField];
+
+    const onSuccess = (dispatch, response, request) => {
+      dispatch(this._recordActions.settled({ id: id }));
+      dispatch(this._cascadeDelete([id]));
+      this._updateRequest(dispatch, request, response, null, params);
+    };
+
+    return (dispatch, getState) => {
+      const requestOptions = this._conditionalMutationOptions(getState, 'delete', id, options);
+      dispatch(this._recordActions.optimisticDeleted(params));
+      const route = this._route('delete', params, id);
+      return this.doRequest('delete', route.method, route.path, route.body, onSuccess, this._onConflict('delete', id, params, this._rollback(id)), requestOptions)(dispatch);
+    };
   }
 
   clear() {
     return this._slice.actions.clear();
   }
 
-  _createOrUpdate = (records, newRec) => {
-    // Create or update the record in the store with the same id
-    //this.onNewRecord(newRec);
-    let existingRec = false;
-    records.forEach(rec => {
-      if (rec[this._idField] == newRec[this._idField]) {
-        existingRec = true;
-        // Update existing record, overwriting each property found in newRec
-        for (const property in newRec) {
-          rec[property] = newRec[property];
-        }
+  _createOrUpdateAll(state, newRecs) {
+    this._sortIfChanged(state);
+    if (newRecs.length > 32) {
+      // For large batches merging everything and sorting once is cheaper than inserting each id in place
+      newRecs.forEach(newRec => this._merge(state, newRec));
+      state.ids.sort((id1, id2) => this._sortFunction(state.entities[id1], state.entities[id2]));
+    } else {
+      newRecs.forEach(newRec => this._createOrUpdate(state, newRec));
+    }
+  }
+
+  _createOrUpdate = (state, newRec) => {
+    // Create or update the record in the store with the same id, keeping state.ids in sort order
+    this._sortIfChanged(state);
+    const id = newRec[this._idField];
+    const existingRec = state.entities[id];
+    if (existingRec) {
+      const index = this._indexOf(state, existingRec);
+      this._merge(state, newRec);
+      if (!this._isSortedAt(state, index)) {
+        // The change affected the sort order, move the id to its new position
+        state.ids.splice(index, 1);
+        state.ids.splice(this._sortedIndex(state, existingRec), 0, existingRec[this._idField]);
       }
-    });
-    if (!existingRec) {
-      records.push(newRec);
+    } else {
+      state.entities[id] = newRec;
+      state.ids.splice(this._sortedIndex(state, newRec), 0, id);
     }
   };
+
+  _sortIfChanged(state) {
+    // state.ids is still in the order of the previous sort function, the binary searches below need it sorted
+    if (!this._sortChanged) return;
+    this._sortChanged = false;
+    state.ids.sort((id1, id2) => this._sortFunction(state.entities[id1], state.entities[id2]));
+  }
+
+  _merge(state, newRec) {
+    // Adds the record to state.entities (and its id to the end of state.ids when new), without sorting
+    const id = newRec[this._idField];
+    const existingRec = state.entities[id];
+    if (existingRec) {
+      // Update existing record, overwriting each property found in newRec
+      for (const property in newRec) {
+        existingRec[property] = newRec[property];
+      }
+    } else {
+      state.entities[id] = newRec;
+      state.ids.push(id);
+    }
+  }
+
+  _remove(state, id) {
+    const existingRec = state.entities[id];
+    if (!existingRec) return;
+    state.ids.splice(this._indexOf(state, existingRec), 1);
+    delete state.entities[id];
+    delete state.fetchedAt[id];
+  }
+
+  _sortedIndex(state, rec) {
+    // Binary search for the position after the last id sorting before or equal to rec
+    let low = 0;
+    let high = state.ids.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this._sortFunction(state.entities[state.ids[middle]], rec) <= 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+
+  _indexOf(state, rec) {
+    // rec must currently be stored in state.entities (with state.ids sorted), ids sorting equal to rec are scanned
+    const id = rec[this._idField];
+    let low = 0;
+    let high = state.ids.length;
+    while (low < high) {
+      const middle = (low + high) >>> 1;
+      if (this._sortFunction(state.entities[state.ids[middle]], rec) < 0) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    for (let i = low; i < state.ids.length; i++) {
+      if (state.ids[i] == id) return i;
+      if (this._sortFunction(state.entities[state.ids[i]], rec) > 0) break;
+    }
+    return state.ids.findIndex(existingId => existingId == id);
+  }
+
+  _isSortedAt(state, index) {
+    const rec = state.entities[state.ids[index]];
+    const prev = index > 0 ? state.entities[state.ids[index - 1]] : null;
+    const next = index < state.ids.length - 1 ? state.entities[state.ids[index + 1]] : null;
+    return (!prev || this._sortFunction(prev, rec) <= 0) && (!next || this._sortFunction(rec, next) <= 0);
+  }
 }
 
+// Creates a client without subclassing ReduxRESTClient, from its constructor options plus the name of its resource, eg.
+//   const Accounts = defineResource({ name: 'accounts', createSlice, createSelector, endpoints: { login: { method: 'POST', url: '/api/login' } } });
+export const defineResource = (definition = {}) => {
+  const options = Object.assign({}, definition);
+  delete options.name;
+  return new ReduxRESTClient(definition.name, options);
+};
+
 export default ReduxRESTClient;
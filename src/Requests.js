@@ -1,31 +1,129 @@
+import { encodeBody } from './Encoders';
+import { appendQueryString } from './QueryString';
+
+// Sends the HTTP requests of a ReduxRESTClient. Each client has its own Requests instance (its transport), holding its fetch function
+// and interceptors. Anything not configured on an instance is inherited from Requests.defaults, shared by every client.
+//
+// Request interceptors are called with { url, options } (options being the fetch() options: method, headers, body, ...) before the
+// request is sent, and may modify it or return a replacement (or a promise resolving to one).
+// Response interceptors are called with (response, request) once a response is received, and may transform it by returning a
+// replacement (or a promise resolving to one), or reject it by throwing (or returning a rejected promise).
 class Requests {
-  static fetchFunction = Requests.defaultFetchFunction;
+  static defaults = {
+    fetchFunction: null,
+    requestInterceptors: [],
+    responseInterceptors: [],
+    // How the params of GET requests are encoded, see QueryString.js
+    queryFormat: 'brackets',
+    skipNulls: true
+  };
+
+  constructor(options = {}) {
+    this.fetchFunction = options.fetchFunction || null;
+    this.requestInterceptors = (options.requestInterceptors || []).slice();
+    this.responseInterceptors = (options.responseInterceptors || []).slice();
+    this.queryFormat = options.queryFormat || null;
+    this.skipNulls = options.skipNulls;
+  }
+
+  // Interceptors added to the defaults run before (request interceptors) or after (response interceptors) each instance's own interceptors.
+  // Returns a function that removes the interceptor.
+  static addRequestInterceptor(interceptor) {
+    return addTo(Requests.defaults.requestInterceptors, interceptor);
+  }
+
+  static addResponseInterceptor(interceptor) {
+    return addTo(Requests.defaults.responseInterceptors, interceptor);
+  }
+
+  static setDefaultFetchFunction(fetchFunction) {
+    Requests.defaults.fetchFunction = fetchFunction;
+  }
+
+  // Kept for requests made outside of any client, uses the defaults only
+  static doRequest(method, url, params, requestOptions, headers) {
+    return new Requests().doRequest(method, url, params, requestOptions, headers);
+  }
+
+  static defaultFetchFunction(url, options) {
+    return window.fetch(url, options);
+  }
 
-  static doRequest(method = 'GET', url = '/', params = {}, requestOptions = { json: true }, headers = {}) {
+  addRequestInterceptor(interceptor) {
+    return addTo(this.requestInterceptors, interceptor);
+  }
+
+  addResponseInterceptor(interceptor) {
+    return addTo(this.responseInterceptors, interceptor);
+  }
+
+  getFetchFunction() {
+    return this.fetchFunction || Requests.defaults.fetchFunction || Requests.defaultFetchFunction;
+  }
+
+  // requestOptions.encoding is how the params of non-GET requests are encoded into the body (see Encoders.js), { json: true } being
+  // the same as { encoding: 'json' }. Progress callbacks (onUploadProgress/onDownloadProgress) are passed on to the fetch function,
+  // which may call them (see XHRTransport.js).
+  doRequest(method = 'GET', url = '/', params = {}, requestOptions = { json: true }, headers = {}) {
     const options = {
       method: method,
       headers: headers,
       credentials: 'same-origin'
     };
 
-    if (requestOptions.json) options.headers['Content-Type'] = 'application/json';
+    const encoding = requestOptions.encoding || (requestOptions.json ? 'json' : null);
+    const queryOptions = {
+      format: this.queryFormat || Requests.defaults.queryFormat,
+      skipNulls: this.skipNulls === undefined ? Requests.defaults.skipNulls : this.skipNulls
+    };
+    if (requestOptions.signal) options.signal = requestOptions.signal;
+    if (requestOptions.onUploadProgress) options.onUploadProgress = requestOptions.onUploadProgress;
+    if (requestOptions.onDownloadProgress) options.onDownloadProgress = requestOptions.onDownloadProgress;
 
     if (method == 'GET') {
-      const queryString = Object.keys(params).map((key) => {
-        return encodeURIComponent(key) + '=' + encodeURIComponent(params[key])
-      }).join('&');
-
-      url = `${url}?${queryString}`;
-    } else {
-      options.body = JSON.stringify(params);
+      if (encoding == 'json') options.headers['Content-Type'] = 'application/json';
+      url = appendQueryString(url, params, queryOptions);
+    } else if (params !== null) {
+      const encoded = encodeBody(params, encoding || 'json', queryOptions);
+      options.body = encoded.body;
+      if (encoded.contentType && encoding) options.headers['Content-Type'] = encoded.contentType;
     }
 
-    return Requests.fetchFunction(url, options);
-  }
+    const fetchFunction = this.getFetchFunction();
+    const requestInterceptors = Requests.defaults.requestInterceptors.concat(this.requestInterceptors);
+    const responseInterceptors = this.responseInterceptors.concat(Requests.defaults.responseInterceptors);
 
-  static defaultFetchFunction(url, options) {
-    return window.fetch(url, options);
+    const send = request => {
+      const promise = fetchFunction(request.url, request.options);
+      if (!responseInterceptors.length) return promise;
+      return responseInterceptors.reduce((promise, interceptor) => {
+        return promise.then(response => {
+          const result = interceptor(response, request);
+          return result === undefined ? response : result;
+        });
+      }, Promise.resolve(promise));
+    };
+
+    if (!requestInterceptors.length) {
+      // Without request interceptors the request is sent right away (rather than after a tick)
+      return send({ url: url, options: options });
+    }
+
+    return requestInterceptors.reduce((promise, interceptor) => {
+      return promise.then(request => {
+        const result = interceptor(request);
+        return result === undefined ? request : result;
+      });
+    }, Promise.resolve({ url: url, options: options })).then(send);
   }
 }
 
-export default Requests;
\ No newline at end of file
+const addTo = (interceptors, interceptor) => {
+  interceptors.push(interceptor);
+  return () => {
+    const index = interceptors.indexOf(interceptor);
+    if (index != -1) interceptors.splice(index, 1);
+  };
+};
+
+export default Requests;
@@ -0,0 +1,65 @@
+// Decides whether (and when) a failed request should be sent again. Used by ReduxRESTClient#doRequest() when the retry option is set.
+//
+// Only idempotent methods are retried by default, since retrying a POST could create the same record twice.
+// Requests are retried when the server could not be reached, or responded with one of the retryOn status codes.
+class RetryPolicy {
+  static defaults = {
+    maxAttempts: 3, // Including the first attempt
+    baseDelay: 500, // Delay (ms) before the 2nd attempt, multiplied by factor for each further attempt
+    factor: 2,
+    maxDelay: 30000,
+    jitter: 0.5, // Fraction of each delay that is randomized (0 = no jitter, 1 = anywhere between 0 and the full delay)
+    retryOn: [408, 429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+    retryNetworkErrors: true,
+    respectRetryAfter: true
+  };
+
+  constructor(options = {}) {
+    Object.assign(this, RetryPolicy.defaults, options);
+  }
+
+  // Returns a new policy with the given options overriding this policy's options (eg. per-call retry options)
+  extend(options = {}) {
+    return new RetryPolicy(Object.assign({}, this, options));
+  }
+
+  // attempt is the number of the attempt that just failed (starting at 1)
+  shouldRetry(attempt, method, response, error) {
+    if (attempt >= this.maxAttempts) return false;
+    if (this.methods.indexOf(method.toUpperCase()) == -1) return false;
+
+    if (response) {
+      if (this.retryOn.indexOf(response.status) == -1) return false;
+      // A server asking us to wait longer than we are willing to, is treated as a permanent failure
+      const retryAfter = this.getRetryAfter(response);
+      return retryAfter === null || retryAfter <= this.maxDelay;
+    }
+    return !!error && error.name != 'AbortError' && this.retryNetworkErrors;
+  }
+
+  // Delay (ms) before sending the attempt after the given (failed) attempt
+  getDelay(attempt, response) {
+    const retryAfter = response ? this.getRetryAfter(response) : null;
+    if (retryAfter !== null) return retryAfter;
+
+    const delay = Math.min(this.baseDelay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+    return Math.round(delay * (1 - this.jitter * Math.random()));
+  }
+
+  // The Retry-After header holds either a number of seconds or an HTTP date, returns the delay it asks for (ms) or null
+  getRetryAfter(response) {
+    if (!this.respectRetryAfter || !response.headers || !response.headers.get) return null;
+
+    const retryAfter = response.headers.get('Retry-After');
+    if (!retryAfter) return null;
+
+    if (/^\s*\d+\s*$/.test(retryAfter)) {
+      return parseInt(retryAfter, 10) * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+}
+
+export default RetryPolicy;
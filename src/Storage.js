@@ -0,0 +1,63 @@
+// Storages persisting data across page loads (eg. the offline queue, see OfflineQueue.js). A storage is any object with the interface of
+// window.localStorage: getItem(key), setItem(key, value) & removeItem(key), values being strings. Storages whose methods return promises
+// (eg. React Native's AsyncStorage) are supported too.
+
+// Keeps items in memory only, eg. for tests or server side rendering
+export class MemoryStorage {
+  constructor(items = {}) {
+    this._items = Object.assign({}, items);
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this._items, key) ? this._items[key] : null;
+  }
+
+  setItem(key, value) {
+    this._items[key] = String(value);
+  }
+
+  removeItem(key) {
+    delete this._items[key];
+  }
+}
+
+// Wraps window.localStorage (default) or window.sessionStorage. Reading never throws (eg. when storage is disabled, as in some private
+// browsing modes), items that can not be read are null.
+export class WebStorage {
+  constructor(storage) {
+    this.storage = storage || (typeof window != 'undefined' ? window.localStorage : null);
+  }
+
+  getItem(key) {
+    try {
+      return this.storage ? this.storage.getItem(key) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Throws when the item can not be stored (eg. the storage quota is exceeded)
+  setItem(key, value) {
+    if (!this.storage) {
+      throw new Error('WebStorage: no storage is available');
+    }
+    this.storage.setItem(key, value);
+  }
+
+  removeItem(key) {
+    if (this.storage) this.storage.removeItem(key);
+  }
+}
+
+// options.storage may be a storage, or the name of a built-in storage ('memory', 'local' or 'session').
+// Defaults to localStorage, or memory where there is no window (eg. server side).
+export const createStorage = storage => {
+  if (!storage) return typeof window != 'undefined' ? new WebStorage() : new MemoryStorage();
+  if (storage == 'local') return new WebStorage();
+  if (storage == 'memory') return new MemoryStorage();
+  if (storage == 'session') return new WebStorage(typeof window != 'undefined' ? window.sessionStorage : null);
+  if (typeof storage == 'string') {
+    throw new Error(`Unknown storage "${storage}" (expected one of: memory, local, session)`);
+  }
+  return storage;
+};
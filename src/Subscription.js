@@ -0,0 +1,160 @@
+import RetryPolicy from './RetryPolicy';
+
+// Connects a ReduxRESTClient to a push channel (Server-Sent Events or a WebSocket), see ReduxRESTClient#subscribe().
+//
+// Each message received is turned into { type, records } by options.parseMessage (see defaultParseMessage()), then options.events maps
+// its type onto one of the client's reducers: 'created', 'updated' or 'deleted' (or a function called with (records, dispatch)).
+// When the connection is lost it is opened again, waiting longer after each failed attempt (see options.reconnect).
+// The state of the connection is kept in the client's slice (see ReduxRESTClient#getSubscription()).
+class Subscription {
+  static defaults = {
+    transport: 'sse', // 'sse' or 'websocket'
+    events: { created: 'created', updated: 'updated', deleted: 'deleted' },
+    // RetryPolicy options of the reconnection attempts (false to not reconnect), maxAttempts counting the attempts in a row
+    reconnect: { maxAttempts: Infinity, baseDelay: 1000, maxDelay: 30000 }
+  };
+
+  constructor(client, dispatch, options = {}) {
+    this.client = client;
+    this.dispatch = dispatch;
+    this.url = options.url || client.path;
+    this.transport = options.transport || Subscription.defaults.transport;
+    if (this.transport != 'sse' && this.transport != 'websocket') {
+      throw new Error(`Unknown subscription transport "${this.transport}" (expected one of: sse, websocket)`);
+    }
+    this.events = options.events || Subscription.defaults.events;
+    this.parseMessage = options.parseMessage || defaultParseMessage;
+
+    // The EventSource/WebSocket are created by these factories, so that they can be replaced (eg. by a polyfill, or a stub in tests)
+    this.createEventSource = options.createEventSource || (url => new EventSource(url, { withCredentials: options.withCredentials }));
+    this.createWebSocket = options.createWebSocket || (url => new WebSocket(toWebSocketUrl(url), options.protocols));
+
+    this.reconnectPolicy = options.reconnect === false ? null : new RetryPolicy(Object.assign({}, Subscription.defaults.reconnect, options.reconnect));
+
+    this.connection = null;
+    this.attempt = 0;
+    this.closed = false;
+    this._reconnectTimer = null;
+  }
+
+  open() {
+    this.closed = false;
+    this.attempt = 0;
+    this._connect('connecting');
+    return this;
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this._reconnectTimer);
+    this._disconnect();
+    this._setStatus('closed');
+  }
+
+  _connect(status) {
+    this.attempt++;
+    this._setStatus(status);
+
+    let connection;
+    try {
+      connection = this.transport == 'sse' ? this.createEventSource(this.url) : this.createWebSocket(this.url);
+    } catch (error) {
+      this._onConnectionLost(error);
+      return;
+    }
+    this.connection = connection;
+
+    // Listeners of a previous connection may still be called (eg. a late error), they are ignored
+    const listen = (name, listener) => connection.addEventListener(name, event => {
+      if (this.connection === connection) listener(event);
+    });
+
+    listen('open', () => {
+      this.attempt = 0;
+      this._setStatus('open');
+    });
+    listen('message', event => this._onMessage(event.data, 'message'));
+    if (this.transport == 'sse') {
+      // Named events (event: created) are only received by their own listeners
+      Object.keys(this.events).forEach(name => {
+        listen(name, event => this._onMessage(event.data, name));
+      });
+      listen('error', () => this._onConnectionLost());
+    } else {
+      listen('close', () => this._onConnectionLost());
+    }
+  }
+
+  _disconnect() {
+    const connection = this.connection;
+    this.connection = null;
+    if (connection) connection.close();
+  }
+
+  _onMessage(data, eventName) {
+    let message;
+    try {
+      message = this.parseMessage(data, eventName);
+    } catch (error) {
+      // Messages that can not be parsed (eg. keep-alive pings) are ignored
+      return;
+    }
+
+    const handler = message && this.events[message.type];
+    if (!handler) return;
+
+    const records = (message.records === undefined || message.records === null) ? [] : [].concat(message.records);
+    if (typeof handler == 'function') {
+      handler(records, this.dispatch);
+    } else {
+      this.client._receiveEvent(this.dispatch, handler, records);
+    }
+    this._setStatus('open', { lastEventAt: Date.now() });
+  }
+
+  _onConnectionLost(error) {
+    this._disconnect();
+    if (this.closed) return;
+
+    if (!this.reconnectPolicy || this.attempt >= this.reconnectPolicy.maxAttempts) {
+      this.closed = true;
+      this._setStatus('failed', { error: { message: error ? error.message : 'The connection was lost' } });
+      return;
+    }
+
+    // attempt is 0 when an open connection was lost, its first reconnection attempt waits as long as after a failed attempt
+    this._setStatus('reconnecting');
+    this._reconnectTimer = setTimeout(() => this._connect('reconnecting'), this.reconnectPolicy.getDelay(Math.max(this.attempt, 1)));
+  }
+
+  _setStatus(status, changes = {}) {
+    this.dispatch(this.client.getActions().subscriptionChanged(Object.assign({
+      status: status,
+      attempt: this.attempt,
+      error: null
+    }, changes)));
+  }
+}
+
+// Messages of SSE named events (event: created) hold the record(s) of the event, other messages (unnamed SSE events and WebSocket
+// messages) hold both the type and the record(s) of the event, eg. { type: 'created', records: [...] } or { type: 'deleted', record: {...} }
+export const defaultParseMessage = (data, eventName) => {
+  const payload = typeof data == 'string' ? JSON.parse(data) : data;
+  if (eventName && eventName != 'message') {
+    return { type: eventName, records: payload };
+  }
+  if (!payload || typeof payload != 'object') return null;
+  return {
+    type: payload.type || payload.event,
+    records: payload.records !== undefined ? payload.records : (payload.record !== undefined ? payload.record : payload.data)
+  };
+};
+
+// WebSockets need an absolute ws:// or wss:// url, relative urls are resolved against the page's location
+const toWebSocketUrl = url => {
+  if (/^wss?:\/\//i.test(url) || typeof window == 'undefined' || !window.location) return url;
+  if (/^https?:\/\//i.test(url)) return url.replace(/^http/i, 'ws');
+  return `${window.location.protocol == 'https:' ? 'wss' : 'ws'}://${window.location.host}${url}`;
+};
+
+export default Subscription;
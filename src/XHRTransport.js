@@ -0,0 +1,53 @@
+import { createAbortError } from './Errors';
+
+// A fetch function sending requests with XMLHttpRequest which, unlike fetch(), reports the progress of uploads. Select it with the
+// transport option of ReduxRESTClient ({ transport: 'xhr' }), or pass it as a fetchFunction.
+//
+// It supports the fetch() options used by Requests (method, headers, body, credentials & signal), and calls options.onUploadProgress
+// and options.onDownloadProgress with { loaded, total } as the body is sent and the response received (total being null when unknown).
+// It resolves to a response implementing the part of the fetch() Response interface read by ReduxRESTClient.
+export const xhrFetch = (url, options = {}) => {
+  return new Promise((resolve, reject) => {
+    if (options.signal && options.signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+
+    const xhr = new XMLHttpRequest();
+    xhr.open(options.method || 'GET', url, true);
+    xhr.withCredentials = options.credentials == 'include';
+    Object.keys(options.headers || {}).forEach(name => xhr.setRequestHeader(name, options.headers[name]));
+
+    const onProgress = callback => event => callback({ loaded: event.loaded, total: event.lengthComputable ? event.total : null });
+    if (options.onUploadProgress && xhr.upload) {
+      xhr.upload.addEventListener('progress', onProgress(options.onUploadProgress));
+    }
+    if (options.onDownloadProgress) {
+      xhr.addEventListener('progress', onProgress(options.onDownloadProgress));
+    }
+
+    // As with fetch(), only failing to reach the server rejects: responses with 4XX/5XX status codes resolve
+    xhr.addEventListener('load', () => resolve(createResponse(xhr, url)));
+    xhr.addEventListener('error', () => reject(new TypeError('Network request failed')));
+    xhr.addEventListener('timeout', () => reject(new TypeError('Network request timed out')));
+    xhr.addEventListener('abort', () => reject(createAbortError()));
+    if (options.signal) {
+      options.signal.addEventListener('abort', () => xhr.abort());
+    }
+
+    xhr.send(options.body === undefined ? null : options.body);
+  });
+};
+
+const createResponse = (xhr, url) => {
+  const text = xhr.responseText;
+  return {
+    ok: xhr.status >= 200 && xhr.status < 300,
+    status: xhr.status,
+    statusText: xhr.statusText,
+    url: xhr.responseURL || url,
+    headers: { get: name => xhr.getResponseHeader(name) },
+    text: () => Promise.resolve(text),
+    json: () => Promise.resolve().then(() => JSON.parse(text))
+  };
+};
@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { queryKey } from './Query';
+
+// React hooks reading & sending the requests of ReduxRESTClients, imported from 'redux-rest-client/hooks' (react & react-redux being
+// optional peer dependencies, only needed by this entry point), eg.
+//   const { data, status, error, refetch } = useResource(ChatMessages, { roomId });
+//   const [createMessage, { status: createStatus }] = useCreate(ChatMessages);
+//
+// Results received after a component unmounted (or changed its params) are still stored in the slice, where they are cached for the next
+// component reading them, but are otherwise ignored. Pass cancelOnUnmount: true to cancel the fetch instead, once no other mounted
+// component uses it (fetchIfNeeded() sharing the fetches in flight between the components asking for the same records).
+
+// The options of the hooks themselves, the others are passed on to the actions
+const hookOptionNames = ['skip', 'select', 'cancelOnUnmount'];
+
+const actionOptions = options => {
+  const result = {};
+  Object.keys(options).forEach(key => {
+    if (hookOptionNames.indexOf(key) == -1) result[key] = options[key];
+  });
+  return result;
+};
+
+const selectNothing = () => undefined;
+
+// The number of mounted components using each fetch request, by client & request key
+const fetchUsers = new WeakMap();
+
+// Adds change to the number of components using the request, returns the new number
+const countUsers = (Client, requestKey, change) => {
+  if (!fetchUsers.has(Client)) fetchUsers.set(Client, {});
+  const counts = fetchUsers.get(Client);
+  counts[requestKey] = (counts[requestKey] || 0) + change;
+  const count = counts[requestKey];
+  if (!count) delete counts[requestKey];
+  return count;
+};
+
+// Keeps the latest value of something read by callbacks & effects that should not run again whenever it changes (eg. inline options)
+const useLatest = value => {
+  const ref = useRef(value);
+  ref.current = value;
+  return ref;
+};
+
+// Fetches the records matching params on mount (and whenever params or options.query change) with fetchIfNeeded(), so that records
+// fetched within the ttl are not fetched again. Returns { data, status, error, refetch }:
+//   data:    the records selected by options.select, or by options.query (see Queries), elsewise all the records of the slice
+//   status:  that of the fetch request ('pending', 'succeeded', ...), or null before it is sent
+//   refetch: sends the request again (even when the records are fresh), returns its promise
+// options.skip: true to not fetch (eg. until an id is known). The other options are passed to fetch() (eg. { query, ttl, include }).
+export const useResource = (Client, params = {}, options = {}) => {
+  const dispatch = useDispatch();
+  const latest = useLatest({ params: params, options: options });
+  const fetchKey = Client._fetchKey(params, actionOptions(options));
+  const dependencyKey = queryKey([params, options.query]);
+
+  useEffect(() => {
+    if (options.skip) return undefined;
+    const { params, options: hookOptions } = latest.current;
+    const fetchOptions = actionOptions(hookOptions);
+    const key = Client._fetchKey(params, fetchOptions);
+    countUsers(Client, Client._requestKey('fetch', key), 1);
+    dispatch(Client.fetchIfNeeded(params, fetchOptions));
+    return () => {
+      const users = countUsers(Client, Client._requestKey('fetch', key), -1);
+      if (hookOptions.cancelOnUnmount && !users) dispatch(Client.cancel('fetch', key));
+    };
+  }, [Client, dispatch, dependencyKey, !!options.skip]);
+
+  const refetch = useCallback(() => {
+    const { params, options } = latest.current;
+    return dispatch(Client.fetch(params, actionOptions(options)));
+  }, [Client, dispatch]);
+
+  const data = useSelector(options.select || (options.query ? Client.query(options.query) : Client.getAll()));
+  const request = useSelector(Client.getRequest('fetch', fetchKey));
+  return {
+    data: data,
+    status: request ? request.status : null,
+    error: request ? request.error : null,
+    refetch: refetch
+  };
+};
+
+// Fetches the record with the given id on mount (and whenever id changes) with fetchByIdIfNeeded(), returns { data, status, error, refetch }
+// as useResource() does, data being the record (undefined until received). Nothing is fetched while id is null/undefined.
+export const useRecord = (Client, id, options = {}) => {
+  const dispatch = useDispatch();
+  const latest = useLatest(options);
+  const skip = !!options.skip || id === undefined || id === null;
+
+  useEffect(() => {
+    if (skip) return undefined;
+    const hookOptions = latest.current;
+    countUsers(Client, Client._requestKey('fetchById', id), 1);
+    dispatch(Client.fetchByIdIfNeeded(id, actionOptions(hookOptions)));
+    return () => {
+      const users = countUsers(Client, Client._requestKey('fetchById', id), -1);
+      if (hookOptions.cancelOnUnmount && !users) dispatch(Client.cancel('fetchById', id));
+    };
+  }, [Client, dispatch, id, skip]);
+
+  const refetch = useCallback(() => {
+    return dispatch(Client.fetchById(id, actionOptions(latest.current)));
+  }, [Client, dispatch, id]);
+
+  const data = useSelector(skip ? selectNothing : Client.get(id));
+  const request = useSelector(skip ? selectNothing : Client.getRequest('fetchById', id));
+  return {
+    data: data,
+    status: request ? request.status : null,
+    error: request ? request.error : null,
+    refetch: refetch
+  };
+};
+
+// The state of a request (see Request Tracking): { request, status, error, fieldErrors, progress, clear }, clear() clearing it from the slice
+export const useRequest = (Client, requestType, key) => {
+  const dispatch = useDispatch();
+  const request = useSelector(Client.getRequest(requestType, key));
+  const fieldErrors = useSelector(Client.getFieldErrors(requestType, key));
+  const progress = useSelector(Client.getProgress(requestType, key));
+  const clear = useCallback(() => dispatch(Client.clearRequest(requestType, key)), [Client, dispatch, requestType, key]);
+  return {
+    request: request || null,
+    status: request ? request.status : null,
+    error: request ? request.error : null,
+    fieldErrors: fieldErrors,
+    progress: progress,
+    clear: clear
+  };
+};
+
+let lastHookId = 0;
+
+// Returns [mutate, state], mutate taking the arguments of the action (and returning its promise), state being that of the requests
+// it sent (see useRequest(), clear() being named reset()). Each component has its own request state (see the requestKey option of
+// the actions), which is cleared when it unmounts. options are passed to every request (eg. { optimistic: true }).
+const useMutation = (Client, requestType, argumentCount, options = {}) => {
+  const dispatch = useDispatch();
+  const keyRef = useRef(null);
+  if (keyRef.current === null) {
+    lastHookId++;
+    keyRef.current = `hook${lastHookId}`;
+  }
+  const requestKey = keyRef.current;
+  const latestOptions = useLatest(options);
+  const mounted = useRef(true);
+
+  useEffect(() => {
+    mounted.current = true;
+    return () => {
+      mounted.current = false;
+      dispatch(Client.clearRequest(requestType, requestKey));
+    };
+  }, [Client, dispatch, requestType, requestKey]);
+
+  const mutate = useCallback((...args) => {
+    // The options of each call are the argument following the action's own arguments (eg. create(params, options))
+    const callOptions = args.length > argumentCount ? args[argumentCount] : {};
+    const actionArgs = [];
+    for (let i = 0; i < argumentCount; i++) actionArgs.push(args[i]);
+    actionArgs.push(Object.assign({}, latestOptions.current, callOptions, { requestKey: requestKey }));
+    return Promise.resolve(dispatch(Client[requestType](...actionArgs))).then(result => {
+      // The request state was already cleared on unmount, its late result is not kept
+      if (!mounted.current) dispatch(Client.clearRequest(requestType, requestKey));
+      return result;
+    });
+  }, [Client, dispatch, requestType, requestKey, argumentCount]);
+
+  const state = useRequest(Client, requestType, requestKey);
+  return [mutate, {
+    request: state.request,
+    status: state.status,
+    error: state.error,
+    fieldErrors: state.fieldErrors,
+    progress: state.progress,
+    reset: state.clear
+  }];
+};
+
+// const [create, { status, error, fieldErrors }] = useCreate(ChatMessages); ... create({ text }) (same arguments as ChatMessages.create())
+export const useCreate = (Client, options) => useMutation(Client, 'create', 1, options);
+
+export const useUpdate = (Client, options) => useMutation(Client, 'update', 1, options);
+
+// patch(id, changes, options)
+export const usePatch = (Client, options) => useMutation(Client, 'patch', 2, options);
+
+export const useDelete = (Client, options) => useMutation(Client, 'delete', 1, options);
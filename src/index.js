@@ -1,3 +1,16 @@
 import ReduxRESTClient from "./ReduxRESTClient";
+export { defineResource } from "./ReduxRESTClient";
+export { default as Requests } from "./Requests";
+export { default as RetryPolicy } from "./RetryPolicy";
+export { PageNumberPagination, OffsetPagination, CursorPagination, LinkHeaderPagination, parseLinkHeader } from "./Pagination";
+export { JsonApiAdapter } from "./JsonApi";
+export { defaultErrorParser } from "./Errors";
+export { default as Subscription, defaultParseMessage } from "./Subscription";
+export { MemoryStorage, WebStorage } from "./Storage";
+export { createPersistMiddleware } from "./Persistence";
+export { encodeQueryString } from "./QueryString";
+export { encodeBody } from "./Encoders";
+export { xhrFetch } from "./XHRTransport";
+export { toRequestParams } from "./Query";
 
 export default ReduxRESTClient;
\ No newline at end of file
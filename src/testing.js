@@ -0,0 +1,375 @@
+import { createAbortError } from './Errors';
+
+// Helpers for testing apps using ReduxRESTClients, imported from 'redux-rest-client/testing':
+//
+// FakeBackend: an in-memory REST API, used as the fetchFunction of clients. Each client mounted on it gets a collection of records, seeded
+// by the test, that its requests read & change following the client's routes (see the routes option). Requests can be delayed (latency
+// option) and made to fail (see injectFailure()).
+//   const backend = new FakeBackend({ latency: 10 });
+//   backend.mount(ChatMessages, [{ _id: '1', text: 'Hello' }]);
+//   const ChatMessages = new ReduxRESTClient('chatMessages', { ..., fetchFunction: backend.fetch });
+//
+// FixtureRecorder & FixturePlayer: record the requests sent to a real API (and its responses) into a fixture file, then replay them.
+
+const statusTexts = { 200: 'OK', 201: 'Created', 204: 'No Content', 400: 'Bad Request', 404: 'Not Found', 500: 'Internal Server Error' };
+
+// A response implementing the part of the fetch() Response interface read by ReduxRESTClient. body is sent as JSON unless it is a string.
+export const createResponse = (status = 200, body = null, headers = {}) => {
+  const text = body === null || body === undefined ? '' : (typeof body == 'string' ? body : JSON.stringify(body));
+  const allHeaders = Object.assign({}, typeof body == 'string' || !text ? {} : { 'Content-Type': 'application/json' }, headers);
+  const names = {};
+  Object.keys(allHeaders).forEach(name => { names[name.toLowerCase()] = allHeaders[name]; });
+  return {
+    ok: status >= 200 && status < 300,
+    status: status,
+    statusText: statusTexts[status] || '',
+    headers: {
+      get: name => names[name.toLowerCase()] === undefined ? null : String(names[name.toLowerCase()]),
+      forEach: callback => Object.keys(names).forEach(name => callback(names[name], name))
+    },
+    text: () => Promise.resolve(text),
+    json: () => Promise.resolve().then(() => JSON.parse(text))
+  };
+};
+
+// Parses a query string into params, keys ending with [] being arrays (eg. tags[]=a&tags[]=b), other keys being kept as they are
+export const parseQueryString = queryString => {
+  const params = {};
+  (queryString || '').split('&').filter(pair => pair).forEach(pair => {
+    const index = pair.indexOf('=');
+    const key = decodeURIComponent(index == -1 ? pair : pair.slice(0, index));
+    const value = index == -1 ? '' : decodeURIComponent(pair.slice(index + 1).replace(/\+/g, ' '));
+    if (key.slice(-2) == '[]') {
+      const name = key.slice(0, -2);
+      params[name] = (params[name] || []).concat(value);
+    } else {
+      params[key] = value;
+    }
+  });
+  return params;
+};
+
+const parseBody = (body, headers = {}) => {
+  if (body === undefined || body === null) return null;
+  if (typeof FormData != 'undefined' && body instanceof FormData) {
+    const params = {};
+    body.forEach((value, key) => { params[key] = value; });
+    return params;
+  }
+  if (typeof body != 'string') return body;
+  const contentType = headers['Content-Type'] || headers['content-type'] || '';
+  if (/x-www-form-urlencoded/.test(contentType)) return parseQueryString(body);
+  try {
+    return JSON.parse(body);
+  } catch (e) {
+    return body;
+  }
+};
+
+// The request given to handlers & recorded by FakeBackend: { method, url, path, query, body, headers, params (of the path) }
+const createRequest = (url, options = {}) => {
+  const index = url.indexOf('?');
+  return {
+    method: (options.method || 'GET').toUpperCase(),
+    url: url,
+    path: index == -1 ? url : url.slice(0, index),
+    query: parseQueryString(index == -1 ? '' : url.slice(index + 1)),
+    body: parseBody(options.body, options.headers),
+    headers: options.headers || {},
+    params: {}
+  };
+};
+
+// Matches paths against a path template (eg. '/projects/:projectId/tasks/:id'), returning the params of the path or null
+const createPathMatcher = template => {
+  const names = [];
+  const source = template.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, (match, name) => {
+    names.push(name);
+    return '([^/?]+)';
+  });
+  const regExp = new RegExp(`^${source}/?$`);
+  return path => {
+    const match = regExp.exec(path);
+    if (!match) return null;
+    const params = {};
+    names.forEach((name, index) => { params[name] = decodeURIComponent(match[index + 1]); });
+    return params;
+  };
+};
+
+const isFieldOf = (records, key) => records.some(rec => Object.prototype.hasOwnProperty.call(rec, key));
+
+const matchesParam = (value, expected) => {
+  if (Array.isArray(expected)) return expected.some(item => matchesParam(value, item));
+  return value !== undefined && value !== null && String(value) == String(expected);
+};
+
+export class FakeBackend {
+  static defaults = {
+    latency: 0
+  };
+
+  constructor(options = {}) {
+    // ms (or a function of the request returning ms) before each response
+    this.latency = options.latency === undefined ? FakeBackend.defaults.latency : options.latency;
+    this.collections = [];
+    this.handlers = [];
+    this.failures = [];
+    // Every request received, in order, eg. to assert on what was sent
+    this.requests = [];
+    this._lastId = 0;
+
+    // Bound, so that it can be passed as a fetchFunction
+    this.fetch = this.fetch.bind(this);
+  }
+
+  // Serves the client's routes from a collection seeded with the given records. Returns the collection's records (see records()).
+  mount(client, records = []) {
+    this.collections = this.collections.filter(collection => collection.client !== client);
+    const collection = {
+      client: client,
+      idField: client._idField,
+      records: records.map(rec => Object.assign({}, rec)),
+      routes: Object.keys(client._routes).map(action => ({
+        action: action,
+        method: client._routes[action].method,
+        match: createPathMatcher(`${client.path}${client._routes[action].path || ''}`)
+      }))
+    };
+    this.collections.push(collection);
+    return collection.records;
+  }
+
+  // The records currently in the collection of the client
+  records(client) {
+    const collection = this.collections.find(collection => collection.client === client);
+    if (!collection) {
+      throw new Error(`FakeBackend: ${client.resource} is not mounted (see mount())`);
+    }
+    return collection.records;
+  }
+
+  // Responds to the requests with the given method & path (a path template, eg. '/users/:id/avatar') with the handler's result:
+  // { status, body, headers }, or a promise resolving to one. Handlers are called with the request (see createRequest()), and take
+  // precedence over collections. Returns a function removing the handler.
+  on(method, path, handler) {
+    const entry = { method: method.toUpperCase(), match: createPathMatcher(path), handler: handler };
+    this.handlers.push(entry);
+    return () => {
+      this.handlers = this.handlers.filter(other => other !== entry);
+    };
+  }
+
+  // Makes the next matching request(s) fail. options:
+  //   method, path: the requests to fail (a path template, or a RegExp), any request by default
+  //   status (default: 500) & body: the response to fail with, or network: true to fail as if the server could not be reached
+  //   times: how many requests to fail (default: 1, Infinity for all of them)
+  // Returns a function removing the failure.
+  injectFailure(options = {}) {
+    const failure = {
+      method: options.method ? options.method.toUpperCase() : null,
+      match: options.path instanceof RegExp ? (path => options.path.test(path)) : (options.path ? createPathMatcher(options.path) : null),
+      status: options.status || 500,
+      body: options.body === undefined ? { message: statusTexts[options.status || 500] || 'Error' } : options.body,
+      network: !!options.network,
+      times: options.times === undefined ? 1 : options.times
+    };
+    this.failures.push(failure);
+    return () => {
+      this.failures = this.failures.filter(other => other !== failure);
+    };
+  }
+
+  reset() {
+    this.collections = [];
+    this.handlers = [];
+    this.failures = [];
+    this.requests = [];
+  }
+
+  fetch(url, options = {}) {
+    const request = createRequest(url, options);
+    this.requests.push(request);
+    const latency = typeof this.latency == 'function' ? this.latency(request) : this.latency;
+
+    return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(createAbortError());
+        return;
+      }
+      const timer = setTimeout(() => {
+        Promise.resolve().then(() => this._respond(request)).then(resolve, reject);
+      }, latency);
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(createAbortError());
+        });
+      }
+    });
+  }
+
+  _respond(request) {
+    const failure = this.failures.find(failure => {
+      return (!failure.method || failure.method == request.method) && (!failure.match || failure.match(request.path));
+    });
+    if (failure) {
+      failure.times--;
+      if (failure.times <= 0) this.failures = this.failures.filter(other => other !== failure);
+      if (failure.network) throw new TypeError('Failed to fetch');
+      return createResponse(failure.status, failure.body);
+    }
+
+    let handled = null;
+    this.handlers.some(entry => {
+      const params = entry.method == request.method ? entry.match(request.path) : null;
+      if (params) handled = { entry: entry, params: params };
+      return !!params;
+    });
+    if (handled) {
+      request.params = handled.params;
+      return Promise.resolve(handled.entry.handler(request)).then(result => {
+        const reply = result || {};
+        return createResponse(reply.status || 200, reply.body, reply.headers);
+      });
+    }
+
+    for (let i = 0; i < this.collections.length; i++) {
+      const collection = this.collections[i];
+      for (let j = 0; j < collection.routes.length; j++) {
+        const route = collection.routes[j];
+        const params = route.method == request.method ? route.match(request.path) : null;
+        if (params) {
+          request.params = params;
+          return this._handle(collection, route.action, request);
+        }
+      }
+    }
+    return createResponse(404, { message: `No route matches ${request.method} ${request.path}` });
+  }
+
+  // Reads or changes the collection as the action would on a REST API. Params of the path other than :id (eg. :projectId of nested
+  // resources) and query params naming fields of the records select the records (eg. GET /tasks?done=true)
+  _handle(collection, action, request) {
+    const idField = collection.idField;
+    const body = request.body && typeof request.body == 'object' ? request.body : {};
+    const id = request.params.id !== undefined ? request.params.id : body[idField];
+    const index = collection.records.findIndex(rec => id !== undefined && String(rec[idField]) == String(id));
+    const notFound = () => createResponse(404, { message: `${collection.client.resource} ${id} was not found` });
+    const scope = {};
+    Object.keys(request.params).forEach(key => {
+      if (key != 'id') scope[key] = request.params[key];
+    });
+
+    switch (action) {
+      case 'fetch': {
+        const filters = Object.assign({}, request.query, scope);
+        const records = collection.records.filter(rec => Object.keys(filters).every(key => {
+          return !isFieldOf(collection.records, key) || matchesParam(rec[key], filters[key]);
+        }));
+        return createResponse(200, records);
+      }
+      case 'fetchById':
+        return index == -1 ? notFound() : createResponse(200, collection.records[index]);
+      case 'create': {
+        const record = Object.assign({}, body);
+        if (record[idField] === undefined) record[idField] = this._generateId(collection);
+        collection.records.push(record);
+        return createResponse(201, record);
+      }
+      case 'update':
+      case 'patch': {
+        if (index == -1) return notFound();
+        const base = action == 'patch' ? collection.records[index] : {};
+        collection.records[index] = Object.assign({}, base, body, { [idField]: collection.records[index][idField] });
+        return createResponse(200, collection.records[index]);
+      }
+      case 'delete':
+        if (index == -1) return notFound();
+        collection.records.splice(index, 1);
+        return createResponse(204);
+      default:
+        return createResponse(404, { message: `FakeBackend does not implement the ${action} action` });
+    }
+  }
+
+  _generateId(collection) {
+    let id;
+    do {
+      this._lastId++;
+      id = String(this._lastId);
+    } while (collection.records.some(rec => String(rec[collection.idField]) == id));
+    return id;
+  }
+}
+
+// Fixture files hold an array of { request: { method, url, body }, response: { status, headers, body } }
+
+const readResponse = response => {
+  const headers = {};
+  if (response.headers && response.headers.forEach) {
+    response.headers.forEach((value, name) => { headers[name] = value; });
+  }
+  return response.text().then(text => {
+    let body = text;
+    try {
+      body = text ? JSON.parse(text) : null;
+    } catch (e) {
+      // Kept as text
+    }
+    return { status: response.status, headers: headers, body: body };
+  });
+};
+
+// Wraps a fetch function (eg. window.fetch, talking to a real API), recording each request & its response. save() writes them to a
+// fixture file (node only), to be replayed by FixturePlayer.
+export class FixtureRecorder {
+  constructor(fetchFunction) {
+    this.fetchFunction = fetchFunction;
+    this.fixtures = [];
+    this.fetch = this.fetch.bind(this);
+  }
+
+  fetch(url, options = {}) {
+    return Promise.resolve(this.fetchFunction(url, options)).then(readResponse).then(response => {
+      this.fixtures.push({
+        request: { method: (options.method || 'GET').toUpperCase(), url: url, body: parseBody(options.body, options.headers) },
+        response: response
+      });
+      return createResponse(response.status, response.body, response.headers);
+    });
+  }
+
+  save(file) {
+    const fs = require('fs');
+    fs.writeFileSync(file, JSON.stringify(this.fixtures, null, 2));
+  }
+}
+
+// A fetch function responding with recorded fixtures (an array, or the path of a fixture file). Requests match the fixtures with the
+// same method, url and body. When several fixtures match, they are replayed in order (the last one repeating). Requests matching
+// no fixture fail with an error.
+export class FixturePlayer {
+  constructor(fixtures) {
+    this.fixtures = typeof fixtures == 'string' ? JSON.parse(require('fs').readFileSync(fixtures, 'utf8')) : fixtures;
+    this._replayed = this.fixtures.map(() => false);
+    this.fetch = this.fetch.bind(this);
+  }
+
+  fetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const body = JSON.stringify(parseBody(options.body, options.headers));
+    const matching = [];
+    this.fixtures.forEach((fixture, index) => {
+      if (fixture.request.method == method && fixture.request.url == url && JSON.stringify(fixture.request.body) == body) matching.push(index);
+    });
+    if (!matching.length) {
+      return Promise.reject(new Error(`FixturePlayer: no fixture matches ${method} ${url}`));
+    }
+
+    const index = matching.find(index => !this._replayed[index]);
+    const fixture = this.fixtures[index === undefined ? matching[matching.length - 1] : index];
+    if (index !== undefined) this._replayed[index] = true;
+    return Promise.resolve(createResponse(fixture.response.status, fixture.response.body, fixture.response.headers));
+  }
+}
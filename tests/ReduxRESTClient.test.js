@@ -1,4 +1,8 @@
-import ReduxRESTClient from '../dist/index'; // Run npm run build first
+import ReduxRESTClient, { createPersistMiddleware, defineResource, encodeQueryString, JsonApiAdapter, MemoryStorage, parseLinkHeader, Requests, RetryPolicy } from '../dist/index'; // Run npm run build first
+import { FakeBackend, FixturePlayer, FixtureRecorder } from '../dist/testing';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 describe('ReduxRESTClient', () => {
   let restClient;
@@ -6,9 +10,13 @@ describe('ReduxRESTClient', () => {
   let createSelector;
   let slice;
   let dispatch;
+  let getState;
 
   beforeEach(() => {
-    createSelector = jest.fn(fn => fn);
+    createSelector = jest.fn((...fns) => {
+      const combiner = fns.pop();
+      return state => combiner(...fns.map(fn => fn(state)));
+    });
 
     slice = {
       state: null,
@@ -37,9 +45,11 @@ describe('ReduxRESTClient', () => {
 
     dispatch = jest.fn(action => {
       console.log('dispatch() invoked...');
-      action();
+      return action(dispatch, getState);
     });
 
+    getState = () => ({ resource: slice.state });
+
     restClient = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector });
   });
 
@@ -94,4 +104,1901 @@ describe('ReduxRESTClient', () => {
       });
     });
   });
+
+  describe('optimistic mode', () => {
+    let response;
+
+    const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+    beforeEach(() => {
+      const fetchFunction = (url, options) => window.fetch(url, options);
+      restClient = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, fetchFunction, optimistic: true });
+      dispatch(restClient.getActions().read({ records: [{ _id: 'a', text: 'original' }] }));
+      response = {
+        text: jest.fn(() => Promise.resolve('')),
+        json: jest.fn(() => Promise.resolve({ _id: 'b', text: 'new' })),
+        ok: true,
+        status: 200
+      };
+      global.window = {
+        fetch: jest.fn(() => Promise.resolve(response))
+      };
+    });
+
+    it('adds a created record under a temporary id before the server responds', () => {
+      restClient.create({ text: 'new' })(dispatch);
+      expect(restClient.getAll()(getState()).length).toBe(2);
+      const tempRecord = restClient.getAll()(getState()).find(rec => rec._id != 'a');
+      expect(tempRecord.text).toBe('new');
+      expect(restClient.isPending(tempRecord._id)(getState())).toBe(true);
+      expect(restClient.getPending()(getState())).toEqual([tempRecord]);
+    });
+
+    it('replaces the temporary record with the server\'s record once created', () => {
+      return restClient.create({ text: 'new' })(dispatch).then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'original' }, { _id: 'b', text: 'new' }]);
+        expect(slice.state.pending).toEqual({});
+      });
+    });
+
+    it('rolls back an update when the server responds with an error', () => {
+      response.ok = false;
+      response.status = 422;
+      restClient.update({ _id: 'a', text: 'changed' })(dispatch);
+      expect(restClient.getAll()(getState())[0].text).toBe('changed');
+      return flushPromises().then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'original' }]);
+        expect(slice.state.pending).toEqual({});
+        expect(restClient.getRequestStatus('update', 'a')(getState())).toBe('failed');
+      });
+    });
+
+    it('restores a deleted record when the request could not be sent', () => {
+      window.fetch = jest.fn(() => Promise.reject(new Error('Network down')));
+      restClient.delete({ _id: 'a' })(dispatch);
+      expect(restClient.getAll()(getState())).toEqual([]);
+      return flushPromises().then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'original' }]);
+        expect(restClient.getError('delete')(getState())).toEqual({
+          kind: 'network', status: null, message: 'Network down', fieldErrors: {}, code: null, retryable: true
+        });
+      });
+    });
+
+    it('keeps a record pending until the last of its overlapping changes finishes', () => {
+      const respond = [];
+      window.fetch = jest.fn(() => new Promise(resolve => respond.push(resolve)));
+      const failed = Object.assign({}, response, { ok: false, status: 422 });
+      const succeeded = text => Object.assign({}, response, { json: () => Promise.resolve({ _id: 'a', text: text }) });
+
+      restClient.update({ _id: 'a', text: 'B' })(dispatch);
+      restClient.update({ _id: 'a', text: 'C' })(dispatch);
+      return flushPromises().then(() => {
+        respond[0](failed);
+        return flushPromises();
+      }).then(() => {
+        // The rollback of B does not undo C, still in flight
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'C' }]);
+        expect(restClient.isPending('a')(getState())).toBe(true);
+        respond[1](succeeded('C'));
+        return flushPromises();
+      }).then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'C' }]);
+        expect(slice.state.pending).toEqual({});
+
+        restClient.update({ _id: 'a', text: 'D' })(dispatch);
+        restClient.update({ _id: 'a', text: 'E' })(dispatch);
+        return flushPromises();
+      }).then(() => {
+        respond[2](succeeded('D'));
+        return flushPromises();
+      }).then(() => {
+        expect(restClient.get('a')(getState()).text).toBe('E');
+        respond[3](failed);
+        return flushPromises();
+      }).then(() => {
+        // Rolling back E restores D, confirmed by the server in the meantime
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'D' }]);
+        expect(restClient.isPending('a')(getState())).toBe(false);
+      });
+    });
+
+    it('can be turned off per call', () => {
+      restClient.update({ _id: 'a', text: 'changed' }, { optimistic: false })(dispatch);
+      expect(restClient.getAll()(getState())[0].text).toBe('original');
+    });
+  });
+
+  describe('normalized records', () => {
+    beforeEach(() => {
+      dispatch(restClient.getActions().read({ records: [{ _id: 'c', n: 3 }, { _id: 'a', n: 1 }] }));
+    });
+
+    it('stores records by id, with the ids kept in sort order', () => {
+      expect(slice.state.ids).toEqual(['a', 'c']);
+      expect(slice.state.entities.c).toEqual({ _id: 'c', n: 3 });
+    });
+
+    it('inserts new records in sort order', () => {
+      dispatch(restClient.getActions().created({ records: [{ _id: 'b', n: 2 }] }));
+      expect(slice.state.ids).toEqual(['a', 'b', 'c']);
+    });
+
+    it('moves an updated record when its sort position changes', () => {
+      restClient.setSortFunction((rec1, rec2) => rec1.n - rec2.n);
+      dispatch(restClient.getActions().updated({ records: [{ _id: 'a', n: 5 }] }));
+      expect(slice.state.ids).toEqual(['c', 'a']);
+      expect(restClient.getAll()(getState())).toEqual([{ _id: 'c', n: 3 }, { _id: 'a', n: 5 }]);
+    });
+
+    it('sorts the stored records again after the sort function changed', () => {
+      dispatch(restClient.getActions().read({ records: [{ _id: 'd', n: 2 }, { _id: 'e', n: 0 }] }));
+      restClient.setSortFunction((rec1, rec2) => rec1.n - rec2.n);
+      dispatch(restClient.getActions().created({ records: [{ _id: 'b', n: -1 }] }));
+      expect(slice.state.ids).toEqual(['b', 'e', 'a', 'd', 'c']);
+    });
+
+    it('sorts large batches of records', () => {
+      const records = [];
+      for (let i = 100; i > 0; i--) {
+        records.push({ _id: `id${1000 + i}` });
+      }
+      dispatch(restClient.getActions().read({ records: records }));
+      const ids = slice.state.ids;
+      expect(ids.length).toBe(102);
+      expect(ids).toEqual(ids.slice().sort());
+    });
+
+    it('removes deleted records', () => {
+      dispatch(restClient.getActions().deleted({ _id: 'a' }));
+      expect(slice.state.ids).toEqual(['c']);
+      expect(slice.state.entities.a).toBeUndefined();
+    });
+
+    it('selects records with get(), where() and findBy()', () => {
+      expect(restClient.get('c')(getState())).toEqual({ _id: 'c', n: 3 });
+      expect(restClient.where({ n: 1 })(getState())).toEqual([{ _id: 'a', n: 1 }]);
+      expect(restClient.findBy({ n: 3 })(getState())).toEqual({ _id: 'c', n: 3 });
+      expect(restClient.findBy({ n: 4 })(getState())).toBeNull();
+    });
+  });
+
+  describe('pagination', () => {
+    let responses;
+    let fetchFunction;
+
+    const respondWith = (records, headers = {}) => {
+      responses.push({
+        json: jest.fn(() => Promise.resolve(records)),
+        headers: { get: name => headers[name] || null },
+        ok: true,
+        status: 200
+      });
+    };
+
+    beforeEach(() => {
+      responses = [];
+      fetchFunction = jest.fn(() => Promise.resolve(responses.shift()));
+    });
+
+    describe('page number strategy (default)', () => {
+      beforeEach(() => {
+        restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, paginationOptions: { perPage: 2 } });
+        respondWith([{ _id: 'a' }, { _id: 'b' }], { 'X-Total-Count': '3' });
+        respondWith([{ _id: 'c' }], { 'X-Total-Count': '3' });
+      });
+
+      it('fetches consecutive pages, tracking the ids of each page', () => {
+        return dispatch(restClient.fetchPage(1, { q: 'x' })).then(() => {
+          expect(fetchFunction.mock.calls[0][0]).toBe('/resource?q=x&page=1&per_page=2');
+          expect(restClient.hasMore()(getState())).toBe(true);
+          expect(restClient.getTotalCount()(getState())).toBe(3);
+          return dispatch(restClient.fetchNextPage());
+        }).then(() => {
+          expect(fetchFunction.mock.calls[1][0]).toBe('/resource?q=x&page=2&per_page=2');
+          expect(restClient.getCurrentPage()(getState())).toBe(2);
+          expect(restClient.hasMore()(getState())).toBe(false);
+          expect(restClient.getPageIds(1)(getState())).toEqual(['a', 'b']);
+          expect(restClient.getPage()(getState())).toEqual([{ _id: 'c' }]);
+          return dispatch(restClient.fetchNextPage());
+        }).then(() => {
+          expect(fetchFunction).toHaveBeenCalledTimes(2);
+        });
+      });
+    });
+
+    describe('cursor strategy', () => {
+      beforeEach(() => {
+        restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, pagination: 'cursor', paginationOptions: { limit: 1 } });
+        respondWith([{ _id: 'a' }], { 'X-Next-Cursor': 'abc' });
+        respondWith([{ _id: 'b' }]);
+      });
+
+      it('sends the cursor returned with the previous page', () => {
+        return dispatch(restClient.fetchNextPage()).then(() => dispatch(restClient.fetchNextPage())).then(() => {
+          expect(fetchFunction.mock.calls[1][0]).toBe('/resource?limit=1&cursor=abc');
+          expect(restClient.hasMore()(getState())).toBe(false);
+        });
+      });
+    });
+
+    describe('link header strategy', () => {
+      beforeEach(() => {
+        restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, pagination: 'link' });
+        respondWith([{ _id: 'a' }], { Link: '</resource?page=2>; rel="next", </resource?page=5>; rel="last"' });
+        respondWith([{ _id: 'b' }], { Link: '</resource?page=1>; rel="prev"' });
+      });
+
+      it('follows the next link', () => {
+        return dispatch(restClient.fetchPage()).then(() => dispatch(restClient.fetchNextPage())).then(() => {
+          expect(fetchFunction.mock.calls[1][0]).toBe('/resource?page=2');
+          expect(restClient.hasMore()(getState())).toBe(false);
+        });
+      });
+    });
+
+    describe('parseLinkHeader', () => {
+      it('returns the url of each link by rel', () => {
+        expect(parseLinkHeader('<https://api.test/a?page=2>; rel="next", <https://api.test/a?page=9>; rel=last')).toEqual({
+          next: 'https://api.test/a?page=2',
+          last: 'https://api.test/a?page=9'
+        });
+      });
+    });
+  });
+
+  describe('request tracking', () => {
+    let resolvers;
+
+    const respond = (index, record) => {
+      resolvers[index]({ ok: true, status: 200, json: () => Promise.resolve(record) });
+    };
+
+    beforeEach(() => {
+      resolvers = [];
+      const fetchFunction = jest.fn(() => new Promise(resolve => resolvers.push(resolve)));
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction });
+    });
+
+    it('tracks requests with different keys separately', () => {
+      const first = dispatch(restClient.fetchById('a'));
+      const second = dispatch(restClient.fetchById('b'));
+      respond(1, { _id: 'b' });
+      return second.then(() => {
+        expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('pending');
+        expect(restClient.getRequestStatus('fetchById', 'b')(getState())).toBe('succeeded');
+        respond(0, { _id: 'a' });
+        return first;
+      }).then(() => {
+        expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('succeeded');
+        expect(restClient.getAll()(getState()).length).toBe(2);
+      });
+    });
+
+    it('returns the most recent request of a type when no key is given', () => {
+      dispatch(restClient.fetch({ q: 'x' }));
+      expect(restClient.getRequest('fetch')(getState())).toBe(restClient.getRequest('fetch', { q: 'x' })(getState()));
+      expect(restClient.getRequestStatus('fetch', { q: 'y' })(getState())).toBeNull();
+    });
+
+    it('ignores the response to a superseded request', () => {
+      const first = dispatch(restClient.fetch({ q: 'x' }));
+      const second = dispatch(restClient.fetch({ q: 'x' }));
+      respond(1, [{ _id: 'new' }]);
+      return second.then(() => {
+        respond(0, [{ _id: 'old' }]);
+        return first;
+      }).then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'new' }]);
+        expect(restClient.getRequest('fetch', { q: 'x' })(getState()).data).toEqual([{ _id: 'new' }]);
+      });
+    });
+
+    it('clears the request with the given key', () => {
+      dispatch(restClient.fetchById('a'));
+      dispatch(restClient.clearRequest('fetchById', 'a'));
+      expect(restClient.getRequest('fetchById', 'a')(getState())).toBeNull();
+    });
+
+    it('tracks mutations under their requestKey option', () => {
+      const first = dispatch(restClient.create({ n: 1 }, { requestKey: 'form1' }));
+      dispatch(restClient.create({ n: 2 }, { requestKey: 'form2' }));
+      respond(0, { _id: 'a', n: 1 });
+      return first.then(() => {
+        expect(restClient.getRequestStatus('create', 'form1')(getState())).toBe('succeeded');
+        expect(restClient.getRequestStatus('create', 'form2')(getState())).toBe('pending');
+        dispatch(restClient.patch('a', { n: 3 }, { requestKey: 'form1' }));
+        expect(restClient.getRequestStatus('patch', 'form1')(getState())).toBe('pending');
+        expect(restClient.getRequest('patch', 'a')(getState())).toBeUndefined();
+      });
+    });
+  });
+
+  describe('cancellation', () => {
+    let resolvers;
+    let fetchFunction;
+
+    const respond = (index, record) => {
+      resolvers[index]({ ok: true, status: 200, json: () => Promise.resolve(record) });
+    };
+
+    beforeEach(() => {
+      resolvers = [];
+      fetchFunction = jest.fn(() => new Promise(resolve => resolvers.push(resolve)));
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction });
+    });
+
+    afterEach(() => {
+      delete global.AbortController;
+    });
+
+    it('marks the request as cancelled and ignores its response', () => {
+      const request = dispatch(restClient.fetchById('a'));
+      dispatch(restClient.cancel('fetchById', 'a'));
+      expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('cancelled');
+      expect(restClient.getError('fetchById', 'a')(getState()).kind).toBe('cancelled');
+      respond(0, { _id: 'a' });
+      return request.then(() => {
+        expect(restClient.getAll()(getState())).toEqual([]);
+        expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('cancelled');
+      });
+    });
+
+    it('aborts the signal passed to the fetch function', () => {
+      global.AbortController = class {
+        constructor() {
+          this.signal = { aborted: false };
+        }
+
+        abort() {
+          this.signal.aborted = true;
+        }
+      };
+      dispatch(restClient.fetch());
+      const signal = fetchFunction.mock.calls[0][1].signal;
+      expect(signal.aborted).toBe(false);
+      dispatch(restClient.cancel('fetch'));
+      expect(signal.aborted).toBe(true);
+    });
+
+    it('cancels the previous request of the same type when taking the latest request', () => {
+      const first = dispatch(restClient.fetch({ q: 'x' }, { takeLatest: true }));
+      dispatch(restClient.fetch({ q: 'y' }, { takeLatest: true }));
+      expect(restClient.getRequestStatus('fetch', { q: 'x' })(getState())).toBe('cancelled');
+      expect(restClient.getRequestStatus('fetch', { q: 'y' })(getState())).toBe('pending');
+      respond(0, [{ _id: 'a' }]);
+      return first.then(() => {
+        expect(restClient.getAll()(getState())).toEqual([]);
+      });
+    });
+
+    it('rolls back an optimistic change when cancelled', () => {
+      dispatch(restClient.getActions().read({ records: [{ _id: 'a', text: 'original' }] }));
+      dispatch(restClient.update({ _id: 'a', text: 'changed' }, { optimistic: true }));
+      dispatch(restClient.cancel('update'));
+      expect(restClient.get('a')(getState())).toEqual({ _id: 'a', text: 'original' });
+      expect(restClient.getRequestStatus('update', 'a')(getState())).toBe('cancelled');
+    });
+  });
+
+  describe('retries', () => {
+    let responses;
+    let fetchFunction;
+
+    const failWith = (status, headers = {}) => ({
+      ok: false,
+      status: status,
+      statusText: 'Error',
+      headers: { get: name => headers[name] || null },
+      text: () => Promise.resolve('')
+    });
+
+    beforeEach(() => {
+      responses = [];
+      fetchFunction = jest.fn(() => {
+        const response = responses.shift();
+        return response instanceof Error ? Promise.reject(response) : Promise.resolve(response);
+      });
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, retry: { maxAttempts: 3, baseDelay: 0, jitter: 0 } });
+    });
+
+    it('retries idempotent requests until they succeed, tracking the attempt', () => {
+      responses.push(failWith(503), new Error('Network down'), { ok: true, status: 200, json: () => Promise.resolve({ _id: 'a' }) });
+      const request = dispatch(restClient.fetchById('a'));
+      expect(restClient.getRequest('fetchById', 'a')(getState()).attempt).toBe(1);
+      return request.then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(3);
+        const state = restClient.getRequest('fetchById', 'a')(getState());
+        expect(state.status).toBe('succeeded');
+        expect(state.attempt).toBe(3);
+        expect(state.maxAttempts).toBe(3);
+      });
+    });
+
+    it('gives up after maxAttempts', () => {
+      responses.push(failWith(500), failWith(500), failWith(500));
+      return dispatch(restClient.fetch()).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(3);
+      });
+    });
+
+    it('does not retry status codes that are not retryable', () => {
+      responses.push(failWith(422));
+      return dispatch(restClient.fetch()).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('does not retry POST requests by default', () => {
+      responses.push(failWith(503));
+      return dispatch(restClient.create({ text: 'hello' })).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('can be overriden per call', () => {
+      responses.push(failWith(503), failWith(503));
+      return dispatch(restClient.fetch({}, { retry: false })).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+      });
+    });
+  });
+
+  describe('RetryPolicy', () => {
+    it('backs off exponentially, up to maxDelay', () => {
+      const policy = new RetryPolicy({ baseDelay: 100, factor: 2, maxDelay: 350, jitter: 0 });
+      expect([1, 2, 3].map(attempt => policy.getDelay(attempt))).toEqual([100, 200, 350]);
+    });
+
+    it('applies jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const policy = new RetryPolicy({ baseDelay: 100, jitter: 0.5 });
+      expect(policy.getDelay(1)).toBe(75);
+      Math.random.mockRestore();
+    });
+
+    it('honors the Retry-After header', () => {
+      const policy = new RetryPolicy({ maxDelay: 5000 });
+      const response = seconds => ({ status: 429, headers: { get: () => seconds } });
+      expect(policy.getDelay(1, response('2'))).toBe(2000);
+      expect(policy.shouldRetry(1, 'GET', response('2'))).toBe(true);
+      expect(policy.shouldRetry(1, 'GET', response('60'))).toBe(false);
+    });
+  });
+
+  describe('cache freshness', () => {
+    let fetchFunction;
+
+    beforeEach(() => {
+      fetchFunction = jest.fn(url => Promise.resolve({
+        ok: true,
+        status: 200,
+        json: () => Promise.resolve(url.indexOf('/resource/') == 0 ? { _id: 'a' } : [{ _id: 'a' }, { _id: 'b' }])
+      }));
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, ttl: 1000 });
+    });
+
+    afterEach(() => {
+      if (Date.now.mockRestore) Date.now.mockRestore();
+    });
+
+    it('records when each query and record was fetched', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(5000);
+      return dispatch(restClient.fetch({ q: 'x' })).then(() => {
+        expect(restClient.getFetchedAt({ q: 'x' })(getState())).toBe(5000);
+        expect(restClient.getFetchedAt()(getState())).toBeNull();
+        expect(restClient.getFetchedAtById('b')(getState())).toBe(5000);
+      });
+    });
+
+    it('only fetches again once the data is older than the ttl', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(5000);
+      return dispatch(restClient.fetchIfNeeded({ q: 'x' })).then(() => {
+        Date.now.mockReturnValue(5999);
+        return dispatch(restClient.fetchIfNeeded({ q: 'x' }));
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+        Date.now.mockReturnValue(6000);
+        return dispatch(restClient.fetchIfNeeded({ q: 'x' }));
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(2);
+      });
+    });
+
+    it('returns the promise of an identical request already in flight', () => {
+      const first = dispatch(restClient.fetchIfNeeded({ q: 'x' }));
+      const second = dispatch(restClient.fetchIfNeeded({ q: 'x' }));
+      expect(second).toBe(first);
+      expect(fetchFunction).toHaveBeenCalledTimes(1);
+      return first;
+    });
+
+    it('skips fetching a record by id when it was fetched recently, even by a list fetch', () => {
+      return dispatch(restClient.fetch()).then(() => dispatch(restClient.fetchByIdIfNeeded('a'))).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+        return dispatch(restClient.fetchByIdIfNeeded('c'));
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenLastCalledWith('/resource/c', expect.anything());
+      });
+    });
+
+    it('fetches again after the data has been invalidated', () => {
+      return dispatch(restClient.fetchIfNeeded()).then(() => {
+        dispatch(restClient.invalidate());
+        return dispatch(restClient.fetchIfNeeded());
+      }).then(() => {
+        dispatch(restClient.invalidateById('a'));
+        return dispatch(restClient.fetchByIdIfNeeded('a'));
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(3);
+      });
+    });
+  });
+
+  describe('nested paths', () => {
+    let fetchFunction;
+
+    beforeEach(() => {
+      fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([]) }));
+      restClient = new ReduxRESTClient('resource', { path: '/projects/:projectId/tasks', createSlice, createSelector, fetchFunction });
+    });
+
+    it('fills in the path from the params, sending the rest as query params', () => {
+      dispatch(restClient.fetch({ projectId: 5, done: true }));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/projects/5/tasks?done=true');
+    });
+
+    it('fills in the path from options.params when fetching by id', () => {
+      dispatch(restClient.fetchById('a', { params: { projectId: 5 } }));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/projects/5/tasks/a');
+    });
+
+    it('keeps the params used by the path in the request body', () => {
+      dispatch(restClient.create({ projectId: 5, text: 'hello' }));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/projects/5/tasks');
+      expect(JSON.parse(fetchFunction.mock.calls[0][1].body)).toEqual({ projectId: 5, text: 'hello' });
+    });
+
+    it('throws when a path parameter is missing', () => {
+      expect(() => restClient.fetch({})).toThrow(':projectId');
+    });
+  });
+
+  describe('relationships', () => {
+    let states;
+    let projects;
+    let tasks;
+
+    const createSliceFor = name => config => {
+      states[name] = config.initialState;
+      const actions = {};
+      for (const reducer in config.reducers) {
+        actions[reducer] = payload => () => config.reducers[reducer](states[name], { payload });
+      }
+      return { reducer: 'reducer', actions: actions };
+    };
+
+    beforeEach(() => {
+      states = {};
+      getState = () => states;
+      const fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200 }));
+      projects = new ReduxRESTClient('projects', { createSlice: createSliceFor('projects'), createSelector, fetchFunction });
+      tasks = new ReduxRESTClient('tasks', { createSlice: createSliceFor('tasks'), createSelector, fetchFunction });
+      const comments = new ReduxRESTClient('comments', { createSlice: createSliceFor('comments'), createSelector, fetchFunction });
+      projects.hasMany('tasks', tasks, { foreignKey: 'projectId', cascade: true });
+      tasks.belongsTo('project', projects, { foreignKey: 'projectId' });
+      tasks.hasMany('comments', comments, { foreignKey: 'taskId', cascade: true });
+
+      dispatch(projects.getActions().read({ records: [{ _id: 'p1' }, { _id: 'p2' }] }));
+      dispatch(tasks.getActions().read({ records: [{ _id: 't1', projectId: 'p1' }, { _id: 't2', projectId: 'p2' }] }));
+      dispatch(comments.getActions().read({ records: [{ _id: 'c1', taskId: 't1' }] }));
+    });
+
+    it('joins related records', () => {
+      expect(projects.getWith('p1', ['tasks'])(getState())).toEqual({ _id: 'p1', tasks: [{ _id: 't1', projectId: 'p1' }] });
+      expect(tasks.getWith('t2', ['project'])(getState())).toEqual({ _id: 't2', projectId: 'p2', project: { _id: 'p2' } });
+    });
+
+    it('throws for unknown relationships', () => {
+      expect(() => projects.getWith('p1', ['owner'])).toThrow('"owner"');
+    });
+
+    it('removes cached children when cascading a delete', () => {
+      return dispatch(projects.delete({ _id: 'p1' })).then(() => {
+        expect(states.tasks.ids).toEqual(['t2']);
+        expect(states.comments.ids).toEqual([]);
+      });
+    });
+  });
+
+  describe('transport', () => {
+    let fetchFunction;
+    let removeInterceptor;
+
+    beforeEach(() => {
+      fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([{ _id: 'a' }]) }));
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction });
+    });
+
+    afterEach(() => {
+      if (removeInterceptor) removeInterceptor();
+      removeInterceptor = null;
+    });
+
+    it('uses the fetch function of each client', () => {
+      const otherFetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([]) }));
+      const otherClient = new ReduxRESTClient('other', { createSlice, createSelector, fetchFunction: otherFetchFunction });
+      restClient.fetch()(dispatch, getState);
+      otherClient.fetch()(dispatch, getState);
+      expect(fetchFunction).toHaveBeenCalledTimes(1);
+      expect(otherFetchFunction).toHaveBeenCalledTimes(1);
+    });
+
+    it('passes requests through the request interceptors, global ones first', () => {
+      removeInterceptor = Requests.addRequestInterceptor(request => {
+        request.options.headers.authorization = 'BEARER token';
+      });
+      restClient.addRequestInterceptor(request => ({ url: `https://api.test${request.url}`, options: request.options }));
+      return dispatch(restClient.fetch()).then(() => {
+        expect(fetchFunction.mock.calls[0][0]).toBe('https://api.test/resource');
+        expect(fetchFunction.mock.calls[0][1].headers.authorization).toBe('BEARER token');
+      });
+    });
+
+    it('fails the request when a response interceptor rejects the response', () => {
+      restClient = new ReduxRESTClient('resource', {
+        createSlice,
+        createSelector,
+        fetchFunction,
+        responseInterceptors: [() => { throw new Error('Rejected'); }]
+      });
+      return dispatch(restClient.fetch()).then(() => {
+        expect(restClient.getRequestStatus('fetch')(getState())).toBe('failed');
+        expect(restClient.getError('fetch')(getState()).message).toBe('Rejected');
+      });
+    });
+
+    it('lets response interceptors transform responses', () => {
+      restClient.addResponseInterceptor(response => Object.assign({}, response, { json: () => Promise.resolve([{ _id: 'b' }]) }));
+      return dispatch(restClient.fetch()).then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'b' }]);
+      });
+    });
+  });
+
+  describe('routes', () => {
+    let fetchFunction;
+
+    const createClient = routes => {
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, routes });
+      dispatch(restClient.getActions().read({ records: [{ _id: 'a', text: 'original', likes: 1 }] }));
+    };
+
+    beforeEach(() => {
+      fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve({ _id: 'a', likes: 2 }) }));
+    });
+
+    it('sends requests to the collection path by default', () => {
+      createClient();
+      dispatch(restClient.update({ _id: 'a', text: 'changed' }));
+      dispatch(restClient.delete({ _id: 'a' }));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/resource');
+      expect(fetchFunction.mock.calls[0][1].method).toBe('PUT');
+      expect(fetchFunction.mock.calls[1][0]).toBe('/resource');
+      expect(fetchFunction.mock.calls[1][1].body).toBe(JSON.stringify({ _id: 'a' }));
+    });
+
+    it('sends requests to member routes with the rails preset', () => {
+      createClient('rails');
+      dispatch(restClient.update({ _id: 'a', text: 'changed' }));
+      dispatch(restClient.delete({ _id: 'a' }));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/resource/a');
+      expect(fetchFunction.mock.calls[0][1].method).toBe('PATCH');
+      expect(fetchFunction.mock.calls[1][0]).toBe('/resource/a');
+      expect(fetchFunction.mock.calls[1][1].method).toBe('DELETE');
+      expect(fetchFunction.mock.calls[1][1].body).toBeUndefined();
+    });
+
+    it('uses PUT for updates with the jsonServer preset', () => {
+      createClient('jsonServer');
+      dispatch(restClient.update({ _id: 'a', text: 'changed' }));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/resource/a');
+      expect(fetchFunction.mock.calls[0][1].method).toBe('PUT');
+    });
+
+    it('accepts custom routes', () => {
+      createClient({ fetchById: { method: 'GET', path: '/show/:id' } });
+      dispatch(restClient.fetchById('a'));
+      expect(fetchFunction.mock.calls[0][0]).toBe('/resource/show/a');
+    });
+
+    it('throws for unknown presets', () => {
+      expect(() => createClient('unknown')).toThrow('"unknown"');
+    });
+
+    it('patches a record, sending only the changes and merging the response', () => {
+      createClient('jsonServer');
+      return dispatch(restClient.patch('a', { likes: 2 })).then(() => {
+        expect(fetchFunction.mock.calls[0][0]).toBe('/resource/a');
+        expect(fetchFunction.mock.calls[0][1].method).toBe('PATCH');
+        expect(JSON.parse(fetchFunction.mock.calls[0][1].body)).toEqual({ likes: 2 });
+        expect(restClient.get('a')(getState())).toEqual({ _id: 'a', text: 'original', likes: 2 });
+        expect(restClient.getRequestStatus('patch', 'a')(getState())).toBe('succeeded');
+      });
+    });
+
+    it('patches a record sent to the collection path by default, identifying it in the body', () => {
+      createClient();
+      return dispatch(restClient.patch('a', { likes: 2 })).then(() => {
+        expect(fetchFunction.mock.calls[0][0]).toBe('/resource');
+        expect(fetchFunction.mock.calls[0][1].method).toBe('PATCH');
+        expect(JSON.parse(fetchFunction.mock.calls[0][1].body)).toEqual({ likes: 2, _id: 'a' });
+        expect(restClient.get('a')(getState())).toEqual({ _id: 'a', text: 'original', likes: 2 });
+      });
+    });
+  });
+
+  describe('serializers & envelopes', () => {
+    const respond = body => jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve(body) }));
+
+    it('unwraps enveloped records and stores their metadata', () => {
+      const fetchFunction = respond({ data: [{ _id: 'a' }, { _id: 'b' }], meta: { total: 2 } });
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, envelope: { records: 'data', meta: 'meta' } });
+      return dispatch(restClient.fetch({ q: 'x' })).then(() => {
+        expect(restClient.getAll()(getState()).map(rec => rec._id)).toEqual(['a', 'b']);
+        expect(restClient.getMeta()(getState())).toEqual({ total: 2 });
+        expect(restClient.getMeta('fetch', { q: 'x' })(getState())).toEqual({ total: 2 });
+        expect(restClient.getMeta('fetch', { q: 'y' })(getState())).toBeNull();
+      });
+    });
+
+    it('passes the metadata to the pagination strategy', () => {
+      const fetchFunction = respond({ items: [{ _id: 'a' }], next: 'abc' });
+      const envelope = data => ({ records: data.items, meta: { nextCursor: data.next } });
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, envelope, pagination: 'cursor' });
+      return dispatch(restClient.fetchPage(1)).then(() => {
+        expect(restClient.hasMore()(getState())).toBe(true);
+        return dispatch(restClient.fetchNextPage());
+      }).then(() => {
+        expect(fetchFunction.mock.calls[1][0]).toBe('/resource?limit=25&cursor=abc');
+      });
+    });
+
+    it('deserializes received records and serializes sent bodies', () => {
+      const fetchFunction = respond({ _id: 'a', created_at: '2020-01-01' });
+      const deserialize = rec => ({ _id: rec._id, createdAt: rec.created_at });
+      const serialize = params => ({ _id: params._id, created_at: params.createdAt });
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, deserialize, serialize });
+      return dispatch(restClient.create({ createdAt: '2020-01-01' })).then(() => {
+        expect(fetchFunction.mock.calls[0][1].body).toBe(JSON.stringify({ created_at: '2020-01-01' }));
+        expect(restClient.get('a')(getState())).toEqual({ _id: 'a', createdAt: '2020-01-01' });
+      });
+    });
+  });
+
+  describe('JSON:API adapter', () => {
+    let states;
+    let articles;
+    let people;
+    let fetchFunction;
+
+    const createSliceFor = name => config => {
+      states[name] = config.initialState;
+      const actions = {};
+      for (const reducer in config.reducers) {
+        actions[reducer] = payload => () => config.reducers[reducer](states[name], { payload });
+      }
+      return { reducer: 'reducer', actions: actions };
+    };
+
+    const respond = (body, status = 200) => {
+      fetchFunction.mockImplementation(() => Promise.resolve({
+        ok: status < 400,
+        status: status,
+        json: () => Promise.resolve(body),
+        text: () => Promise.resolve(JSON.stringify(body))
+      }));
+    };
+
+    beforeEach(() => {
+      states = {};
+      getState = () => states;
+      fetchFunction = jest.fn();
+      const jsonApi = new JsonApiAdapter();
+      articles = new ReduxRESTClient('articles', { createSlice: createSliceFor('articles'), createSelector, fetchFunction, adapter: jsonApi });
+      people = new ReduxRESTClient('people', { createSlice: createSliceFor('people'), createSelector, fetchFunction, adapter: jsonApi });
+    });
+
+    it('flattens resources and stores included resources into the client of their type', () => {
+      respond({
+        data: [{ type: 'articles', id: '1', attributes: { title: 'Hello' }, relationships: { author: { data: { type: 'people', id: '9' } } } }],
+        included: [{ type: 'people', id: '9', attributes: { name: 'Ann' } }, { type: 'comments', id: '5', attributes: {} }],
+        meta: { total: 1 }
+      });
+      return dispatch(articles.fetch({}, { include: ['author'], fields: { articles: ['title', 'author'] }, filter: { status: 'published' } })).then(() => {
+        const [url, options] = fetchFunction.mock.calls[0];
+        expect(decodeURIComponent(url)).toBe('/articles?include=author&fields[articles]=title,author&filter[status]=published');
+        expect(options.headers['Content-Type']).toBe('application/vnd.api+json');
+        expect(options.headers['Accept']).toBe('application/vnd.api+json');
+        expect(articles.get('1')(getState())).toEqual({ _id: '1', title: 'Hello', author: '9' });
+        expect(people.get('9')(getState())).toEqual({ _id: '9', name: 'Ann' });
+        expect(articles.getMeta()(getState())).toEqual({ total: 1 });
+      });
+    });
+
+    it('sends resource documents', () => {
+      respond({ data: { type: 'articles', id: '1', attributes: { title: 'Hi' }, relationships: { author: { data: { type: 'people', id: '9' } } } } });
+      return dispatch(articles.create({ title: 'Hi' })).then(() => {
+        expect(JSON.parse(fetchFunction.mock.calls[0][1].body)).toEqual({ data: { type: 'articles', attributes: { title: 'Hi' } } });
+        return dispatch(articles.patch('1', { title: 'Hey', author: '10' }));
+      }).then(() => {
+        const [url, options] = fetchFunction.mock.calls[1];
+        expect(url).toBe('/articles/1');
+        expect(options.method).toBe('PATCH');
+        expect(JSON.parse(options.body)).toEqual({
+          data: { type: 'articles', id: '1', attributes: { title: 'Hey' }, relationships: { author: { data: { type: 'people', id: '10' } } } }
+        });
+      });
+    });
+
+    it('maps the errors of failed requests', () => {
+      respond({ errors: [{ status: '422', title: 'Invalid', detail: 'Title is too short', source: { pointer: '/data/attributes/title' } }] }, 422);
+      return dispatch(articles.create({ title: '' })).then(() => new Promise(resolve => setTimeout(resolve))).then(() => {
+        const error = articles.getError('create')(getState());
+        expect(error.message).toBe('Title is too short');
+        expect(error.errors[0].source.pointer).toBe('/data/attributes/title');
+        expect(error.fieldErrors).toEqual({ title: ['Title is too short'] });
+      });
+    });
+  });
+
+  describe('errors', () => {
+    const respond = (status, body, contentType = 'application/json') => jest.fn(() => Promise.resolve({
+      ok: false,
+      status: status,
+      statusText: 'Status text',
+      headers: { get: name => name == 'Content-Type' ? contentType : null },
+      text: () => Promise.resolve(body)
+    }));
+    const settle = () => new Promise(resolve => setTimeout(resolve));
+
+    it('parses JSON error bodies into structured errors', () => {
+      const fetchFunction = respond(422, JSON.stringify({ message: 'Invalid user', code: 'invalid', errors: { email: ['taken'] } }));
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction });
+      return dispatch(restClient.create({ email: 'a@b.c' })).then(settle).then(() => {
+        expect(restClient.getError('create')(getState())).toEqual({
+          kind: 'http', status: 422, message: 'Invalid user', fieldErrors: { email: ['taken'] }, code: 'invalid', retryable: false
+        });
+        expect(restClient.getFieldErrors('create')(getState())).toEqual({ email: ['taken'] });
+      });
+    });
+
+    it('reads field errors from arrays of errors, falling back to the status text', () => {
+      const fetchFunction = respond(400, JSON.stringify({ errors: [{ field: 'name', message: 'is required' }] }));
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction });
+      return dispatch(restClient.create({})).then(settle).then(() => {
+        const error = restClient.getError('create')(getState());
+        expect(error.message).toBe('Status text');
+        expect(error.fieldErrors).toEqual({ name: ['is required'] });
+      });
+    });
+
+    it('uses text bodies as the message, and the statusTextOverride option for empty bodies', () => {
+      const fetchFunction = respond(503, 'Down for maintenance', 'text/plain');
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction });
+      return dispatch(restClient.fetch()).then(settle).then(() => {
+        expect(restClient.getError('fetch')(getState())).toMatchObject({ message: 'Down for maintenance', retryable: true });
+
+        restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction: respond(404, ''), statusTextOverride: { 404: 'No such thing' } });
+        return dispatch(restClient.fetch());
+      }).then(settle).then(() => {
+        expect(restClient.getError('fetch')(getState()).message).toBe('No such thing');
+        expect(restClient.getFieldErrors('fetch')(getState())).toBe(restClient.getFieldErrors('fetch')(getState()));
+      });
+    });
+
+    it('accepts a custom error parser', () => {
+      const fetchFunction = respond(422, JSON.stringify({ problems: [{ attr: 'email', text: 'taken' }] }));
+      const errorParser = body => ({ fieldErrors: { [body.problems[0].attr]: [body.problems[0].text] }, extra: true });
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, errorParser });
+      return dispatch(restClient.create({})).then(settle).then(() => {
+        expect(restClient.getError('create')(getState())).toMatchObject({ message: 'Status text', fieldErrors: { email: ['taken'] }, extra: true });
+      });
+    });
+  });
+
+  describe('subscriptions', () => {
+    let connections;
+
+    // A stub of EventSource/WebSocket, whose events are emitted by the tests
+    class StubConnection {
+      constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.closed = false;
+        connections.push(this);
+      }
+
+      addEventListener(name, listener) {
+        this.listeners[name] = (this.listeners[name] || []).concat([listener]);
+      }
+
+      emit(name, data) {
+        (this.listeners[name] || []).forEach(listener => listener({ data: data }));
+      }
+
+      close() {
+        this.closed = true;
+      }
+    }
+
+    const createConnection = url => new StubConnection(url);
+    const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    beforeEach(() => {
+      connections = [];
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction: jest.fn() });
+      dispatch(restClient.getActions().read({ records: [{ _id: 'a', text: 'original' }, { _id: 'b', text: 'other' }] }));
+    });
+
+    it('applies the named events of a Server-Sent Events stream', () => {
+      const subscription = dispatch(restClient.subscribe({ url: '/events', createEventSource: createConnection }));
+      expect(connections[0].url).toBe('/events');
+      expect(restClient.getSubscriptionStatus()(getState())).toBe('connecting');
+
+      connections[0].emit('open');
+      connections[0].emit('created', JSON.stringify({ _id: 'c', text: 'new' }));
+      connections[0].emit('updated', JSON.stringify([{ _id: 'a', text: 'changed' }]));
+      connections[0].emit('deleted', JSON.stringify('b'));
+      expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'changed' }, { _id: 'c', text: 'new' }]);
+      expect(restClient.getSubscriptionStatus()(getState())).toBe('open');
+      expect(restClient.getSubscription()(getState()).lastEventAt).not.toBeNull();
+
+      subscription.close();
+      expect(connections[0].closed).toBe(true);
+      expect(restClient.getSubscriptionStatus()(getState())).toBe('closed');
+    });
+
+    it('maps the messages of a WebSocket with a custom event mapping', () => {
+      const events = { 'message.posted': 'created', 'message.removed': 'deleted' };
+      dispatch(restClient.subscribe({ url: 'ws://localhost/events', transport: 'websocket', createWebSocket: createConnection, events }));
+      connections[0].emit('open');
+      connections[0].emit('message', JSON.stringify({ type: 'message.posted', record: { _id: 'c', text: 'new' } }));
+      connections[0].emit('message', JSON.stringify({ type: 'message.removed', records: [{ _id: 'a' }] }));
+      connections[0].emit('message', JSON.stringify({ type: 'unknown', record: { _id: 'd' } }));
+      connections[0].emit('message', 'ping');
+      expect(restClient.getAll()(getState()).map(rec => rec._id)).toEqual(['b', 'c']);
+    });
+
+    it('reconnects with backoff, until maxAttempts attempts in a row failed', () => {
+      const reconnect = { baseDelay: 5, factor: 2, jitter: 0, maxAttempts: 3 };
+      dispatch(restClient.subscribe({ createEventSource: createConnection, reconnect }));
+      expect(connections[0].url).toBe('/resource');
+      connections[0].emit('open');
+      connections[0].emit('error');
+      expect(connections[0].closed).toBe(true);
+      expect(restClient.getSubscriptionStatus()(getState())).toBe('reconnecting');
+
+      return wait(20).then(() => {
+        expect(connections.length).toBe(2);
+        connections[1].emit('error');
+        return wait(20);
+      }).then(() => {
+        expect(restClient.getSubscription()(getState()).attempt).toBe(2);
+        connections[2].emit('error');
+        return wait(30);
+      }).then(() => {
+        expect(connections.length).toBe(4);
+        connections[3].emit('error');
+        expect(restClient.getSubscriptionStatus()(getState())).toBe('failed');
+        return wait(30);
+      }).then(() => {
+        expect(connections.length).toBe(4);
+      });
+    });
+  });
+
+  describe('offline queue', () => {
+    let online;
+    let storage;
+    let fetchFunction;
+    let responses;
+
+    const respondWith = (status, body) => responses.push(() => Promise.resolve({
+      ok: status < 400,
+      status: status,
+      json: () => Promise.resolve(body),
+      text: () => Promise.resolve(JSON.stringify(body))
+    }));
+
+    const createClient = () => {
+      restClient = new ReduxRESTClient('resource', {
+        createSlice, createSelector, fetchFunction, routes: 'rails', offline: { storage: storage, isOnline: () => online }
+      });
+      dispatch(restClient.getActions().read({ records: [{ _id: 'a', text: 'original' }] }));
+    };
+
+    beforeEach(() => {
+      online = true;
+      storage = new MemoryStorage();
+      responses = [];
+      fetchFunction = jest.fn(() => responses.length ? responses.shift()() : Promise.reject(new TypeError('Failed to fetch')));
+      createClient();
+    });
+
+    it('applies mutations locally and queues them while offline, then replays them in order', () => {
+      online = false;
+      dispatch(restClient.create({ text: 'new' }));
+      const tempId = restClient.getAll()(getState()).find(rec => rec._id != 'a')._id;
+      dispatch(restClient.update({ _id: tempId, text: 'newer' }));
+      dispatch(restClient.delete({ _id: 'a' }));
+
+      return Promise.resolve().then(() => {
+        expect(fetchFunction).not.toHaveBeenCalled();
+        expect(restClient.getAll()(getState())).toEqual([{ _id: tempId, text: 'newer' }]);
+        expect(restClient.getQueue()(getState()).map(entry => entry.requestType)).toEqual(['create', 'update', 'delete']);
+        expect(JSON.parse(storage.getItem('redux-rest-client:queue:resource')).length).toBe(3);
+
+        online = true;
+        respondWith(200, { _id: 'b', text: 'new' });
+        respondWith(200, { _id: 'b', text: 'newer' });
+        respondWith(200, {});
+        return dispatch(restClient.replay());
+      }).then(() => {
+        expect(fetchFunction.mock.calls.map(call => `${call[1].method} ${call[0]}`)).toEqual(['POST /resource', 'PATCH /resource/b', 'DELETE /resource/a']);
+        expect(JSON.parse(fetchFunction.mock.calls[1][1].body)).toEqual({ _id: 'b', text: 'newer' });
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'b', text: 'newer' }]);
+        expect(restClient.getQueue()(getState())).toEqual([]);
+        expect(storage.getItem('redux-rest-client:queue:resource')).toBeNull();
+      });
+    });
+
+    it('keeps mutations queued when the server can not be reached', () => {
+      return dispatch(restClient.update({ _id: 'a', text: 'changed' })).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+        expect(restClient.getQueue()(getState())[0].status).toBe('queued');
+        expect(restClient.get('a')(getState()).text).toBe('changed');
+      });
+    });
+
+    it('stops at mutations the server rejects until they are retried or discarded', () => {
+      respondWith(422, { errors: { text: ['is invalid'] } });
+      return dispatch(restClient.update({ _id: 'a', text: 'bad' })).then(() => {
+        dispatch(restClient.create({ text: 'new' }));
+        const failed = restClient.getFailedMutations()(getState());
+        expect(failed.length).toBe(1);
+        expect(failed[0].error.fieldErrors).toEqual({ text: ['is invalid'] });
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+
+        respondWith(422, {});
+        return dispatch(restClient.retryMutation(failed[0].id, { _id: 'a', text: 'still bad' }));
+      }).then(() => {
+        expect(JSON.parse(fetchFunction.mock.calls[1][1].body)).toEqual({ _id: 'a', text: 'still bad' });
+        respondWith(200, { _id: 'b', text: 'new' });
+        return dispatch(restClient.discardMutation(restClient.getFailedMutations()(getState())[0].id));
+      }).then(() => {
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'original' }, { _id: 'b', text: 'new' }]);
+        expect(restClient.getQueue()(getState())).toEqual([]);
+      });
+    });
+
+    it('restores the queue saved in storage', () => {
+      online = false;
+      dispatch(restClient.create({ text: 'new' }));
+      return Promise.resolve().then(() => {
+        online = true;
+        createClient();
+        respondWith(200, { _id: 'b', text: 'new' });
+        return dispatch(restClient.restoreQueue());
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'original' }, { _id: 'b', text: 'new' }]);
+      });
+    });
+  });
+
+  describe('persistence', () => {
+    let storage;
+    let fetchFunction;
+
+    const createClient = (persist = {}) => {
+      restClient = new ReduxRESTClient('resource', { createSlice, createSelector, fetchFunction, persist: Object.assign({ storage }, persist) });
+    };
+
+    beforeEach(() => {
+      storage = new MemoryStorage();
+      fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([]) }));
+      createClient();
+    });
+
+    it('saves records and rehydrates them, without optimistic changes or pending requests', () => {
+      dispatch(restClient.getActions().read({ records: [{ _id: 'a', text: 'original' }, { _id: 'b' }], fetchedAt: 1000, queryKey: 'fetch' }));
+      dispatch(restClient.getActions().optimisticUpdated({ records: [{ _id: 'a', text: 'changed' }] }));
+      dispatch(restClient.getActions().optimisticCreated({ records: [{ _id: '__tmp_resource_1', text: 'new' }] }));
+      dispatch(restClient.getActions().updateRequest({ requestType: 'create', status: 'pending' }));
+
+      return dispatch(restClient.persist()).then(() => {
+        createClient();
+        expect(restClient.isRehydrated()(getState())).toBe(false);
+        return dispatch(restClient.rehydrate());
+      }).then(() => {
+        expect(restClient.isRehydrated()(getState())).toBe(true);
+        expect(restClient.isLoaded()(getState())).toBe(true);
+        expect(restClient.getAll()(getState())).toEqual([{ _id: 'a', text: 'original' }, { _id: 'b' }]);
+        expect(restClient.getFetchedAtById('a')(getState())).toBe(1000);
+        expect(restClient.getFetchedAt()(getState())).toBe(1000);
+        expect(getState().resource.requests).toEqual({});
+      });
+    });
+
+    it('migrates states saved by older versions, and discards those it can not migrate', () => {
+      storage.setItem('redux-rest-client:state:resource', JSON.stringify({
+        version: 1, state: { ids: ['a'], entities: { a: { _id: 'a', name: 'Ann' } }, fetchedAt: {}, queries: {}, meta: {}, invalidatedAt: null }
+      }));
+      const migrations = { 2: state => Object.assign({}, state, { entities: { a: { _id: 'a', firstName: state.entities.a.name } } }) };
+      createClient({ version: 2, migrations });
+      return dispatch(restClient.rehydrate()).then(() => {
+        expect(restClient.get('a')(getState())).toEqual({ _id: 'a', firstName: 'Ann' });
+
+        createClient({ version: 3, migrations });
+        return dispatch(restClient.rehydrate());
+      }).then(() => {
+        expect(restClient.isRehydrated()(getState())).toBe(true);
+        expect(restClient.getAll()(getState())).toEqual([]);
+      });
+    });
+
+    it('leaves out the least recently fetched records to stay under maxSize', () => {
+      createClient({ maxSize: 300 });
+      const records = [];
+      for (let i = 0; i < 10; i++) {
+        records.push({ _id: `record${i}`, text: 'xxxxxxxxxx' });
+      }
+      dispatch(restClient.getActions().read({ records: records.slice(0, 5), fetchedAt: 1000 }));
+      dispatch(restClient.getActions().read({ records: records.slice(5), fetchedAt: 2000 }));
+      return dispatch(restClient.persist()).then(() => {
+        const saved = storage.getItem('redux-rest-client:state:resource');
+        expect(saved.length).toBeLessThanOrEqual(300);
+        const ids = JSON.parse(saved).state.ids;
+        expect(ids.length).toBeGreaterThan(0);
+        expect(ids.every(id => ['record5', 'record6', 'record7', 'record8', 'record9'].indexOf(id) != -1)).toBe(true);
+      });
+    });
+
+    it('fetches the queries again when records were left out to stay under maxSize', () => {
+      createClient({ maxSize: 300 });
+      const records = [];
+      for (let i = 0; i < 10; i++) {
+        records.push({ _id: `record${i}`, text: 'xxxxxxxxxx' });
+      }
+      dispatch(restClient.getActions().read({ records: records, fetchedAt: Date.now(), queryKey: 'fetch', meta: { total: 10 } }));
+      return dispatch(restClient.persist()).then(() => {
+        createClient({ maxSize: 300 });
+        return dispatch(restClient.rehydrate());
+      }).then(() => {
+        expect(restClient.getAll()(getState()).length).toBeLessThan(10);
+        expect(restClient.getFetchedAt()(getState())).toBe(null);
+        expect(restClient.getMeta('fetch', {})(getState())).toBe(null);
+        return dispatch(restClient.fetchIfNeeded());
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('saves the succeeded requests with the requests option, skipping cleared ones', () => {
+      createClient({ requests: true });
+      return dispatch(restClient.fetch()).then(() => dispatch(restClient.fetchById('a'))).then(() => {
+        dispatch(restClient.clearRequest('fetch'));
+        return dispatch(restClient.persist());
+      }).then(() => {
+        const saved = JSON.parse(storage.getItem('redux-rest-client:state:resource')).state;
+        expect(Object.keys(saved.requests)).toEqual(['fetchById:a']);
+        expect(saved.latestRequests).toEqual({ fetchById: 'fetchById:a' });
+      });
+    });
+
+    it('tracks the requests sent after rehydrating saved requests', () => {
+      createClient({ requests: true });
+      return dispatch(restClient.fetchById('a')).then(() => dispatch(restClient.fetchById('a'))).then(() => {
+        return dispatch(restClient.persist());
+      }).then(() => {
+        createClient({ requests: true });
+        return dispatch(restClient.rehydrate());
+      }).then(() => {
+        expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('succeeded');
+        fetchFunction.mockImplementation(() => Promise.resolve({ ok: false, status: 500, text: () => Promise.resolve('') }));
+        const request = dispatch(restClient.fetchById('a', { retry: false }));
+        expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('pending');
+        return request;
+      }).then(() => {
+        expect(restClient.getRequestStatus('fetchById', 'a')(getState())).toBe('failed');
+      });
+    });
+
+    it('saves the slice when it changes, via the middleware', () => {
+      const store = { getState: () => getState() };
+      const middleware = createPersistMiddleware([restClient], { throttle: 0 })(store)(action => dispatch(action));
+      middleware(restClient.getActions().read({ records: [{ _id: 'a' }] }));
+      slice.state = Object.assign({}, slice.state);
+      return new Promise(resolve => setTimeout(resolve, 5)).then(() => {
+        expect(JSON.parse(storage.getItem('redux-rest-client:state:resource')).state.ids).toEqual(['a']);
+      });
+    });
+  });
+
+  describe('queries', () => {
+    beforeEach(() => {
+      dispatch(restClient.getActions().read({ records: [
+        { _id: 'a', title: 'Hello world', likes: 12, tags: ['news'], author: { name: 'Ann' } },
+        { _id: 'b', title: 'Goodbye', likes: 3, tags: [], author: { name: 'Bob' } },
+        { _id: 'c', title: 'hello again', likes: 40, tags: ['news', 'tech'], author: { name: 'Ann' } },
+        { _id: 'd', title: 'Untitled', author: { name: 'Cid' } }
+      ] }));
+    });
+
+    const ids = records => records.map(rec => rec._id);
+
+    it('selects records with operators', () => {
+      const state = getState();
+      expect(ids(restClient.where({ likes: { $gt: 10 } })(state))).toEqual(['a', 'c']);
+      expect(ids(restClient.where({ likes: { $gte: 3, $lt: 40 } })(state))).toEqual(['a', 'b']);
+      expect(ids(restClient.where({ likes: { $ne: 3 } })(state))).toEqual(['a', 'c', 'd']);
+      expect(ids(restClient.where({ _id: ['a', 'd'] })(state))).toEqual(['a', 'd']);
+      expect(ids(restClient.where({ _id: { $nin: ['a', 'd'] } })(state))).toEqual(['b', 'c']);
+      expect(ids(restClient.where({ tags: { $contains: 'tech' } })(state))).toEqual(['c']);
+      expect(ids(restClient.where({ title: /^hello/i })(state))).toEqual(['a', 'c']);
+      expect(ids(restClient.where({ likes: { $exists: false } })(state))).toEqual(['d']);
+    });
+
+    it('selects records by nested fields, predicates & $or', () => {
+      const state = getState();
+      expect(ids(restClient.where({ author: { name: 'Ann' } })(state))).toEqual(['a', 'c']);
+      expect(ids(restClient.where({ 'author.name': 'Bob' })(state))).toEqual(['b']);
+      expect(ids(restClient.where({ likes: likes => likes % 2 == 1 })(state))).toEqual(['b']);
+      expect(ids(restClient.where({ $or: [{ _id: 'b' }, { likes: { $gt: 20 } }] })(state))).toEqual(['b', 'c']);
+      expect(ids(restClient.where({ author: { name: 'Ann' }, likes: undefined })(state))).toEqual(['a', 'c']);
+    });
+
+    it('throws on unknown operators', () => {
+      expect(() => restClient.where({ likes: { $near: 3 } })(getState())).toThrow('Unknown query operator "$near"');
+    });
+
+    it('orders & limits the records selected', () => {
+      const state = getState();
+      expect(ids(restClient.query({ orderBy: '-likes' })(state))).toEqual(['c', 'a', 'b', 'd']);
+      expect(ids(restClient.query({ orderBy: ['author.name', '-likes'] })(state))).toEqual(['c', 'a', 'b', 'd']);
+      expect(ids(restClient.where({ 'author.name': 'Ann' }, { orderBy: 'likes' })(state))).toEqual(['a', 'c']);
+      expect(ids(restClient.query({ orderBy: 'likes', offset: 1, limit: 2 })(state))).toEqual(['a', 'c']);
+      expect(restClient.findBy({ 'author.name': 'Ann' }, { orderBy: '-likes' })(state)._id).toBe('c');
+      // The slice's own order is unchanged
+      expect(slice.state.ids).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    it('returns the same selector for equal queries', () => {
+      const isEven = likes => likes % 2 == 0;
+      expect(restClient.where({ likes: { $gt: 10 }, _id: ['a', 'c'] })).toBe(restClient.where({ _id: ['a', 'c'], likes: { $gt: 10 } }));
+      expect(restClient.query({ where: { likes: isEven }, limit: 1 })).toBe(restClient.query({ limit: 1, where: { likes: isEven } }));
+      expect(restClient.where({ likes: isEven })).not.toBe(restClient.where({ likes: likes => likes % 2 == 0 }));
+      expect(restClient.where({ likes: 3 })).not.toBe(restClient.findBy({ likes: 3 }));
+      expect(restClient.where({ title: /a/ })).not.toBe(restClient.where({ title: /a/i }));
+    });
+
+    it('drops the least recently used selectors', () => {
+      const first = restClient.where({ likes: 0 });
+      for (let i = 1; i < ReduxRESTClient.maxCachedSelectors; i++) restClient.where({ likes: i });
+      expect(restClient.where({ likes: 0 })).toBe(first);
+      restClient.where({ likes: -1 });
+      expect(restClient.where({ likes: 0 })).toBe(first);
+      expect(restClient._querySelectors.size).toBe(ReduxRESTClient.maxCachedSelectors);
+    });
+  });
+
+  describe('query strings', () => {
+    let fetchFunction;
+
+    const params = { tags: ['a', 'b'], author: { name: 'Ann' }, page: 2, status: null, sort: undefined };
+
+    beforeEach(() => {
+      fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([{ _id: 'a', likes: 12 }, { _id: 'b', likes: 30 }]) }));
+    });
+
+    it('encodes arrays & nested objects in each format, leaving out null & undefined values', () => {
+      expect(decodeURIComponent(encodeQueryString(params))).toBe('tags[]=a&tags[]=b&author[name]=Ann&page=2');
+      expect(decodeURIComponent(encodeQueryString(params, { format: 'repeat' }))).toBe('tags=a&tags=b&author[name]=Ann&page=2');
+      expect(decodeURIComponent(encodeQueryString(params, { format: 'comma' }))).toBe('tags=a,b&author[name]=Ann&page=2');
+      expect(decodeURIComponent(encodeQueryString(params, { format: 'json' }))).toBe('tags=["a","b"]&author={"name":"Ann"}&page=2');
+      expect(encodeQueryString({ status: null, q: 'a&b' }, { skipNulls: false })).toBe('status=&q=a%26b');
+      expect(decodeURIComponent(encodeQueryString({ items: [{ id: 1 }, { id: 2 }] }))).toBe('items[0][id]=1&items[1][id]=2');
+      expect(() => encodeQueryString(params, { format: 'csv' })).toThrow('Unknown query format "csv"');
+    });
+
+    it('sends GET params in the queryFormat option, without a trailing ? when there are none', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, fetchFunction, queryFormat: 'comma' });
+      return dispatch(client.fetch(params)).then(() => dispatch(client.fetch())).then(() => {
+        expect(decodeURIComponent(fetchFunction.mock.calls[0][0])).toBe('/path?tags=a,b&author[name]=Ann&page=2');
+        expect(fetchFunction.mock.calls[1][0]).toBe('/path');
+      });
+    });
+
+    it('sends the query of options.query, so that query() selects the records that were requested', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, fetchFunction });
+      const query = { where: { likes: { $gt: 10 }, tags: ['news'] }, orderBy: '-likes', limit: 1 };
+      dispatch(client.getActions().read({ records: [{ _id: 'c', likes: 50, tags: ['sport'] }] }));
+      fetchFunction.mockImplementation(() => Promise.resolve({ ok: true, status: 200, json: () => Promise.resolve([
+        { _id: 'a', likes: 12, tags: ['news'] }, { _id: 'b', likes: 30, tags: ['news'] }
+      ]) }));
+      return dispatch(client.fetchIfNeeded({}, { query: query })).then(() => {
+        expect(decodeURIComponent(fetchFunction.mock.calls[0][0])).toBe('/path?likes[$gt]=10&tags[]=news&sort=-likes&limit=1');
+        expect(client.query(query)(getState())).toEqual([{ _id: 'b', likes: 30, tags: ['news'] }]);
+        return dispatch(client.fetchIfNeeded({}, { query: query }));
+      }).then(() => {
+        expect(fetchFunction).toHaveBeenCalledTimes(1);
+        expect(() => client.serializeQuery({ where: { $where: () => true } })).toThrow('Queries sent to the server can not hold functions');
+      });
+    });
+
+    it('sends queries as JSON:API filter, sort & page params', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, fetchFunction, adapter: new JsonApiAdapter() });
+      expect(client.serializeQuery({ where: { status: ['open', 'closed'], likes: { $gt: 10 } }, orderBy: ['-likes', 'title'], limit: 5, offset: 10 })).toEqual({
+        'filter[status]': 'open,closed',
+        'filter[likes]': { $gt: 10 },
+        sort: '-likes,title',
+        'page[limit]': 5,
+        'page[offset]': 10
+      });
+    });
+  });
+
+  describe('uploads', () => {
+    let fetchFunction;
+    let xhrs;
+
+    class FakeBlob {
+      constructor(parts, options = {}) {
+        this.parts = parts;
+        this.type = options.type || '';
+      }
+    }
+
+    class FakeFile extends FakeBlob {
+      constructor(parts, name, options) {
+        super(parts, options);
+        this.name = name;
+      }
+    }
+
+    class FakeFormData {
+      constructor() {
+        this.fields = [];
+      }
+
+      append(...field) {
+        this.fields.push(field);
+      }
+    }
+
+    class FakeXMLHttpRequest {
+      constructor() {
+        this.listeners = {};
+        this.upload = { addEventListener: (name, listener) => { this.listeners[`upload.${name}`] = listener; } };
+        this.headers = {};
+        xhrs.push(this);
+      }
+
+      open(method, url) {
+        this.method = method;
+        this.url = url;
+      }
+
+      setRequestHeader(name, value) {
+        this.headers[name] = value;
+      }
+
+      addEventListener(name, listener) {
+        this.listeners[name] = listener;
+      }
+
+      send(body) {
+        this.body = body;
+      }
+
+      respond(status, body) {
+        this.status = status;
+        this.responseText = JSON.stringify(body);
+        this.getResponseHeader = name => name == 'Content-Type' ? 'application/json' : null;
+        this.listeners.load();
+      }
+    }
+
+    beforeEach(() => {
+      global.Blob = FakeBlob;
+      global.FormData = FakeFormData;
+      global.XMLHttpRequest = FakeXMLHttpRequest;
+      xhrs = [];
+      fetchFunction = jest.fn(() => Promise.resolve({ ok: true, status: 201, json: () => Promise.resolve({ _id: 'a' }) }));
+    });
+
+    afterEach(() => {
+      delete global.Blob;
+      delete global.FormData;
+      delete global.XMLHttpRequest;
+    });
+
+    it('sends params holding files as multipart', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, fetchFunction });
+      const avatar = new FakeFile(['...'], 'avatar.png', { type: 'image/png' });
+      return dispatch(client.create({ name: 'Ann', avatar: avatar, tags: ['a', 'b'], address: { city: 'Oslo' } })).then(() => {
+        const options = fetchFunction.mock.calls[0][1];
+        expect(options.body).toBeInstanceOf(FakeFormData);
+        expect(options.body.fields).toEqual([
+          ['name', 'Ann'],
+          ['avatar', avatar, 'avatar.png'],
+          ['tags[]', 'a'],
+          ['tags[]', 'b'],
+          ['address[city]', 'Oslo']
+        ]);
+        // Left to the browser, to add the multipart boundary
+        expect(options.headers['Content-Type']).toBeUndefined();
+      });
+    });
+
+    it('encodes bodies according to the encoding option', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, fetchFunction, encoding: 'urlencoded' });
+      return dispatch(client.patch('a', { name: 'Ann & Bob', address: { city: 'Oslo' }, age: null })).then(() => {
+        const options = fetchFunction.mock.calls[0][1];
+        expect(options.body).toBe('name=Ann%20%26%20Bob&address%5Bcity%5D=Oslo&_id=a');
+        expect(options.headers['Content-Type']).toBe('application/x-www-form-urlencoded;charset=UTF-8');
+        return dispatch(client.create({ name: 'Ann' }, { encoding: 'multipart' }));
+      }).then(() => {
+        expect(fetchFunction.mock.calls[1][1].body.fields).toEqual([['name', 'Ann']]);
+        expect(() => dispatch(client.create({}, { encoding: 'xml' }))).toThrow('Unknown encoding "xml"');
+      });
+    });
+
+    it('reports the progress of requests sent with the xhr transport', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, transport: 'xhr' });
+      const promise = dispatch(client.create({ avatar: new FakeBlob(['...']) }));
+      expect(client.getProgress('create')(getState())).toBeNull();
+
+      return Promise.resolve().then(() => {
+        const xhr = xhrs[0];
+        expect(xhr.method).toBe('POST');
+        expect(xhr.url).toBe('/path');
+        expect(xhr.body).toBeInstanceOf(FakeFormData);
+
+        xhr.listeners['upload.progress']({ loaded: 50, total: 200, lengthComputable: true });
+        expect(client.getProgress('create')(getState())).toBe(25);
+        expect(client.getRequest('create')(getState()).progress).toEqual({ phase: 'upload', loaded: 50, total: 200, percent: 25 });
+        xhr.listeners.progress({ loaded: 10, total: 0, lengthComputable: false });
+        expect(client.getProgress('create')(getState())).toBeNull();
+
+        xhr.respond(201, { _id: 'a', avatar: '/a.png' });
+        return promise;
+      }).then(() => {
+        expect(client.getProgress('create')(getState())).toBe(100);
+        expect(client.get('a')(getState())).toEqual({ _id: 'a', avatar: '/a.png' });
+      });
+    });
+
+    it('fails requests sent with the xhr transport when the server can not be reached', () => {
+      const client = new ReduxRESTClient('resource', { path: '/path', createSlice, createSelector, transport: 'xhr' });
+      const promise = dispatch(client.fetch({ q: 'a' }));
+      return Promise.resolve().then(() => {
+        expect(xhrs[0].url).toBe('/path?q=a');
+        xhrs[0].listeners.error();
+        return promise;
+      }).then(() => {
+        expect(client.getError('fetch')(getState())).toEqual(expect.objectContaining({ kind: 'network', message: 'Network request failed' }));
+        expect(() => new ReduxRESTClient('resource', { createSlice, createSelector, transport: 'ajax' })).toThrow('Unknown transport "ajax"');
+      });
+    });
+  });
+
+  describe('testing helpers', () => {
+    let backend;
+
+    const createClient = (options = {}) => {
+      return new ReduxRESTClient('resource', Object.assign({ path: '/things', createSlice, createSelector, fetchFunction: backend.fetch }, options));
+    };
+
+    beforeEach(() => {
+      backend = new FakeBackend();
+    });
+
+    it('serves CRUD requests from seeded collections following the client\'s routes', () => {
+      const client = createClient({ routes: 'rails' });
+      backend.mount(client, [{ _id: '1', done: false }, { _id: '2', done: true }]);
+      return dispatch(client.fetch({ done: true, page: 2 })).then(() => {
+        expect(client.getAll()(getState())).toEqual([{ _id: '2', done: true }]);
+        return dispatch(client.create({ text: 'New' }));
+      }).then(() => {
+        expect(client.get('3')(getState())).toEqual({ _id: '3', text: 'New' });
+        return dispatch(client.patch('1', { done: true }));
+      }).then(() => {
+        expect(client.get('1')(getState())).toEqual({ _id: '1', done: true });
+        return dispatch(client.delete({ _id: '2' }));
+      }).then(() => {
+        expect(backend.records(client)).toEqual([{ _id: '1', done: true }, { _id: '3', text: 'New' }]);
+        expect(backend.requests.map(request => `${request.method} ${request.path}`)).toEqual(['GET /things', 'POST /things', 'PATCH /things/1', 'DELETE /things/2']);
+        return dispatch(client.fetchById('2'));
+      }).then(() => {
+        expect(client.getError('fetchById', '2')(getState())).toEqual(expect.objectContaining({ status: 404, message: 'resource 2 was not found' }));
+      });
+    });
+
+    it('patches records under the default routes', () => {
+      const client = createClient({ path: '/projects/:projectId/tasks' });
+      backend.mount(client, [{ _id: '1', projectId: 5, done: false }]);
+      return dispatch(client.fetch({ projectId: 5, done: false })).then(() => {
+        return dispatch(client.patch('1', { projectId: 5, done: true }));
+      }).then(() => {
+        expect(backend.requests.map(request => `${request.method} ${request.url}`)).toEqual(['GET /projects/5/tasks?done=false', 'PATCH /projects/5/tasks']);
+        expect(backend.records(client)).toEqual([{ _id: '1', projectId: 5, done: true }]);
+        expect(client.get('1')(getState())).toEqual({ _id: '1', projectId: 5, done: true });
+      });
+    });
+
+    it('serves nested & collection routes, and custom handlers', () => {
+      const client = createClient({ path: '/projects/:projectId/tasks' });
+      backend.mount(client, [{ _id: 'a', projectId: 1 }, { _id: 'b', projectId: 2 }]);
+      backend.on('GET', '/projects/:projectId/tasks/:id/summary', request => ({ body: { summary: `Task ${request.params.id}` } }));
+      return dispatch(client.fetch({ projectId: 1 })).then(() => {
+        expect(client.getAll()(getState())).toEqual([{ _id: 'a', projectId: 1 }]);
+        return dispatch(client.update({ _id: 'a', projectId: 1, title: 'Renamed' }));
+      }).then(() => {
+        expect(backend.records(client)[0]).toEqual({ _id: 'a', projectId: 1, title: 'Renamed' });
+        return backend.fetch('/projects/1/tasks/a/summary').then(response => response.json());
+      }).then(body => {
+        expect(body).toEqual({ summary: 'Task a' });
+      });
+    });
+
+    it('delays responses & injects failures', () => {
+      backend = new FakeBackend({ latency: 20 });
+      const client = createClient({ retry: { maxAttempts: 2, baseDelay: 1, jitter: 0 } });
+      backend.mount(client, [{ _id: '1' }]);
+      backend.injectFailure({ method: 'GET', path: '/things', status: 503 });
+      backend.injectFailure({ method: 'POST', network: true, times: Infinity });
+
+      const startedAt = Date.now();
+      return dispatch(client.fetch()).then(() => {
+        // Retried once after the 503
+        expect(backend.requests.length).toBe(2);
+        expect(Date.now() - startedAt).toBeGreaterThanOrEqual(35);
+        expect(client.getAll()(getState())).toEqual([{ _id: '1' }]);
+        return dispatch(client.create({ text: 'a' }, { retry: false }));
+      }).then(() => {
+        expect(client.getError('create')(getState())).toEqual(expect.objectContaining({ kind: 'network' }));
+        expect(backend.records(client).length).toBe(1);
+      });
+    });
+
+    it('records requests & responses into fixtures, and replays them', () => {
+      const file = path.join(os.tmpdir(), `redux-rest-client-fixtures-${process.pid}.json`);
+      const recorder = new FixtureRecorder(backend.fetch);
+      let client = createClient({ fetchFunction: recorder.fetch });
+      backend.mount(client, [{ _id: '1', n: 1 }]);
+
+      return dispatch(client.fetch()).then(() => dispatch(client.create({ n: 2 }))).then(() => dispatch(client.fetch())).then(() => {
+        recorder.save(file);
+        expect(recorder.fixtures.map(fixture => fixture.response.status)).toEqual([200, 201, 200]);
+
+        const player = new FixturePlayer(file);
+        fs.unlinkSync(file);
+        client = createClient({ fetchFunction: player.fetch });
+        return dispatch(client.fetch()).then(() => {
+          expect(client.getAll()(getState())).toEqual([{ _id: '1', n: 1 }]);
+          return dispatch(client.fetch());
+        }).then(() => {
+          // The second recorded response to the same request
+          expect(client.getAll()(getState())).toEqual([{ _id: '1', n: 1 }, { _id: '2', n: 2 }]);
+          return dispatch(client.fetchById('1'));
+        });
+      }).then(() => {
+        expect(client.getError('fetchById', '1')(getState()).message).toBe('FixturePlayer: no fixture matches GET /things/1');
+      });
+    });
+  });
+
+  describe('drafts', () => {
+    let backend;
+    let client;
+
+    beforeEach(() => {
+      backend = new FakeBackend();
+      client = new ReduxRESTClient('resource', { path: '/things', routes: 'rails', createSlice, createSelector, fetchFunction: backend.fetch });
+      backend.mount(client, [{ _id: 'a', title: 'Hello', tags: ['x'], likes: 1 }]);
+      return dispatch(client.fetch());
+    });
+
+    it('applies draft changes without changing the record', () => {
+      dispatch(client.editDraft('a', { title: 'Hello!', tags: ['x'] }));
+      dispatch(client.editDraft('a', { likes: 2 }));
+      expect(client.getDraft('a')(getState())).toEqual({ _id: 'a', title: 'Hello!', tags: ['x'], likes: 2 });
+      expect(client.get('a')(getState()).title).toBe('Hello');
+      // tags are set to an equal value
+      expect(client.getDirtyFields('a')(getState())).toEqual(['title', 'likes']);
+      expect(client.hasUnsavedChanges('a')(getState())).toBe(true);
+      expect(client.getDraft('a')).toBe(client.getDraft('a'));
+
+      dispatch(client.discardDraft('a'));
+      expect(client.getDraft('a')(getState())).toBe(client.get('a')(getState()));
+      expect(client.getDirtyFields('a')(getState())).toEqual([]);
+      expect(client.hasUnsavedChanges('a')(getState())).toBe(false);
+    });
+
+    it('saves only the changed fields, then merges the server\'s record', () => {
+      dispatch(client.editDraft('a', { title: 'Hello!', tags: ['x'] }));
+      return dispatch(client.saveDraft('a')).then(() => {
+        const request = backend.requests[1];
+        expect(`${request.method} ${request.path}`).toBe('PATCH /things/a');
+        expect(request.body).toEqual({ title: 'Hello!' });
+        expect(client.get('a')(getState())).toEqual({ _id: 'a', title: 'Hello!', tags: ['x'], likes: 1 });
+        expect(client.hasUnsavedChanges('a')(getState())).toBe(false);
+        expect(getState().resource.drafts).toEqual({});
+      });
+    });
+
+    it('keeps the draft when saving fails, and changes made while saving', () => {
+      backend.injectFailure({ method: 'PATCH', status: 422, body: { errors: { title: ['is too long'] } } });
+      dispatch(client.editDraft('a', { title: 'Hello!!!' }));
+      return dispatch(client.saveDraft('a')).then(() => {
+        expect(client.getFieldErrors('patch', 'a')(getState())).toEqual({ title: ['is too long'] });
+        expect(client.getDirtyFields('a')(getState())).toEqual(['title']);
+
+        const saving = dispatch(client.saveDraft('a'));
+        dispatch(client.editDraft('a', { likes: 5 }));
+        return saving;
+      }).then(() => {
+        expect(client.get('a')(getState()).title).toBe('Hello!!!');
+        expect(getState().resource.drafts).toEqual({ a: { likes: 5 } });
+      });
+    });
+
+    it('sends drafts with the update action, identifying the record in the body', () => {
+      client = new ReduxRESTClient('resource', { path: '/things', createSlice, createSelector, fetchFunction: backend.fetch, draftAction: 'update' });
+      backend.mount(client, [{ _id: 'a', title: 'Hello', likes: 1 }]);
+      return dispatch(client.fetch()).then(() => {
+        dispatch(client.editDraft('a', { likes: 2 }));
+        return dispatch(client.saveDraft('a'));
+      }).then(() => {
+        const request = backend.requests[backend.requests.length - 1];
+        expect(`${request.method} ${request.path}`).toBe('PUT /things');
+        expect(request.body).toEqual({ _id: 'a', likes: 2 });
+        expect(() => new ReduxRESTClient('resource', { createSlice, createSelector, draftAction: 'post' })).toThrow('Unknown draftAction "post"');
+      });
+    });
+  });
+
+  describe('conditional requests', () => {
+    let backend;
+    let client;
+    let record;
+    let version;
+
+    beforeEach(() => {
+      backend = new FakeBackend();
+      client = new ReduxRESTClient('resource', { path: '/things', routes: 'rails', createSlice, createSelector, fetchFunction: backend.fetch });
+      record = { _id: 'a', title: 'Hello' };
+      version = 1;
+      backend.on('GET', '/things', request => {
+        return request.headers['If-None-Match'] == `"list${version}"` ? { status: 304 } : { body: [record], headers: { ETag: `"list${version}"` } };
+      });
+      backend.on('GET', '/things/:id', request => {
+        return request.headers['If-None-Match'] == `"v${version}"` ? { status: 304 } : { body: record, headers: { ETag: `"v${version}"` } };
+      });
+      backend.on('PATCH', '/things/:id', request => {
+        if (request.headers['If-Match'] != `"v${version}"`) return { status: 412, body: { message: 'The record was changed' } };
+        version++;
+        record = Object.assign({}, record, request.body);
+        return { body: record, headers: { ETag: `"v${version}"` } };
+      });
+    });
+
+    it('sends If-None-Match, and keeps the cached data on 304 responses', () => {
+      return dispatch(client.fetch()).then(() => {
+        expect(backend.requests[0].headers['If-None-Match']).toBeUndefined();
+        return dispatch(client.fetch());
+      }).then(() => {
+        expect(backend.requests[1].headers['If-None-Match']).toBe('"list1"');
+        expect(client.getAll()(getState())).toEqual([{ _id: 'a', title: 'Hello' }]);
+        expect(client.getRequest('fetch')(getState())).toEqual(expect.objectContaining({ status: 'succeeded', statusCode: 304 }));
+        // The version of a record received in a list is not known
+        return dispatch(client.fetchById('a'));
+      }).then(() => {
+        expect(backend.requests[2].headers['If-None-Match']).toBeUndefined();
+        return dispatch(client.fetchById('a'));
+      }).then(() => {
+        expect(backend.requests[3].headers['If-None-Match']).toBe('"v1"');
+        expect(client.getRequestStatus('fetchById', 'a')(getState())).toBe('succeeded');
+        expect(client.get('a')(getState())).toEqual({ _id: 'a', title: 'Hello' });
+      });
+    });
+
+    it('sends If-Match, and resolves conflicts by sending the local version again', () => {
+      return dispatch(client.fetchById('a')).then(() => {
+        // The record is changed on the server
+        record = { _id: 'a', title: 'Theirs', likes: 1 };
+        version = 2;
+        return dispatch(client.patch('a', { title: 'Mine' }));
+      }).then(() => {
+        expect(backend.requests[1].headers['If-Match']).toBe('"v1"');
+        expect(client.getRequestStatus('patch', 'a')(getState())).toBe('failed');
+        expect(client.getConflict('a')(getState())).toEqual(expect.objectContaining({
+          requestType: 'patch',
+          statusCode: 412,
+          local: { _id: 'a', title: 'Mine' },
+          server: { _id: 'a', title: 'Theirs', likes: 1 }
+        }));
+        expect(client.getConflicts()(getState()).map(conflict => conflict.id)).toEqual(['a']);
+        expect(client.get('a')(getState()).title).toBe('Hello');
+        return dispatch(client.resolveConflict('a', 'local'));
+      }).then(() => {
+        expect(backend.requests[3].headers['If-Match']).toBe('"v2"');
+        expect(client.get('a')(getState())).toEqual({ _id: 'a', title: 'Mine', likes: 1 });
+        expect(client.getConflict('a')(getState())).toBe(null);
+        expect(getState().resource.validators.records.a).toEqual({ etag: '"v3"', lastModified: null });
+      });
+    });
+
+    it('resolves conflicts by keeping the server\'s version', () => {
+      backend = new FakeBackend();
+      client = new ReduxRESTClient('resource', { path: '/things', createSlice, createSelector, fetchFunction: backend.fetch });
+      backend.mount(client, [{ _id: 'b', title: 'Hello' }]);
+      return dispatch(client.fetchById('b')).then(() => {
+        backend.records(client)[0].title = 'Theirs';
+        backend.injectFailure({ method: 'PUT', status: 409 });
+        return dispatch(client.update({ _id: 'b', title: 'Mine' }));
+      }).then(() => {
+        expect(client.getConflict('b')(getState())).toEqual(expect.objectContaining({ statusCode: 409, server: { _id: 'b', title: 'Theirs' } }));
+        return dispatch(client.resolveConflict('b'));
+      }).then(() => {
+        expect(client.get('b')(getState())).toEqual({ _id: 'b', title: 'Theirs' });
+        expect(client.getConflicts()(getState())).toEqual([]);
+        expect(backend.requests.map(request => request.method)).toEqual(['GET', 'PUT', 'GET']);
+      });
+    });
+  });
+
+  describe('request log & hooks', () => {
+    let backend;
+
+    beforeEach(() => {
+      backend = new FakeBackend();
+    });
+
+    it('logs the requests sent, up to the size of the log', () => {
+      const client = new ReduxRESTClient('resource', { path: '/things', createSlice, createSelector, fetchFunction: backend.fetch, requestLog: { size: 2 } });
+      backend.mount(client, [{ _id: 'a', title: 'Hello' }]);
+      backend.on('GET', '/things', () => ({ body: [{ _id: 'a', title: 'Hello' }], headers: { 'Content-Length': '28' } }));
+      return dispatch(client.fetch({ title: 'Hello' })).then(() => {
+        expect(client.getRequestLog()(getState())).toEqual([expect.objectContaining({
+          requestType: 'fetch',
+          method: 'GET',
+          url: '/things',
+          params: { title: 'Hello' },
+          status: 'succeeded',
+          statusCode: 200,
+          bytes: 28,
+          attempt: 1,
+          error: null
+        })]);
+        expect(client.getRequestLog()(getState())[0].duration).toBeGreaterThanOrEqual(0);
+        return dispatch(client.fetchById('b'));
+      }).then(() => dispatch(client.create({ title: 'New' }))).then(() => {
+        expect(client.getRequestLog()(getState()).map(entry => entry.requestType)).toEqual(['fetchById', 'create']);
+        const failed = client.getRequestLog({ status: 'failed' })(getState());
+        expect(failed).toEqual([expect.objectContaining({ url: '/things/b', statusCode: 404, bytes: null })]);
+        expect(failed[0].error).toEqual(expect.objectContaining({ status: 404 }));
+        expect(client.getRequestLog(entry => entry.method == 'POST')(getState())).toHaveLength(1);
+
+        dispatch(client.clearRequestLog());
+        expect(client.getRequestLog()(getState())).toEqual([]);
+      });
+    });
+
+    it('calls the hooks registered globally and per client', () => {
+      const events = [];
+      const record = name => event => events.push([name, event.client.resource, event.requestType || event.action, event.status || event.ids]);
+      const removeGlobalHook = ReduxRESTClient.addHook('onRequestStart', record('global start'));
+      const client = new ReduxRESTClient('resource', {
+        path: '/things', createSlice, createSelector, fetchFunction: backend.fetch,
+        hooks: { onRequestSuccess: record('success'), onRecordsChanged: record('changed') }
+      });
+      client.addHook('onRequestError', record('error'));
+      backend.mount(client, [{ _id: 'a' }, { _id: 'b' }]);
+
+      return dispatch(client.fetch()).then(() => {
+        removeGlobalHook();
+        return dispatch(client.delete({ _id: 'a' }));
+      }).then(() => dispatch(client.fetchById('a'))).then(() => {
+        expect(events).toEqual([
+          ['global start', 'resource', 'fetch', 'pending'],
+          ['changed', 'resource', 'read', ['a', 'b']],
+          ['success', 'resource', 'fetch', 'succeeded'],
+          ['changed', 'resource', 'deleted', ['a']],
+          ['success', 'resource', 'delete', 'succeeded'],
+          ['error', 'resource', 'fetchById', 'failed']
+        ]);
+        expect(() => client.addHook('onRequestEnd', () => {})).toThrow('Unknown hook "onRequestEnd"');
+      });
+    });
+  });
+
+  describe('defineResource', () => {
+    let backend;
+    let accounts;
+
+    beforeEach(() => {
+      backend = new FakeBackend();
+      accounts = defineResource({
+        name: 'resource',
+        path: '/accounts',
+        idField: 'id',
+        createSlice,
+        createSelector,
+        fetchFunction: backend.fetch,
+        endpoints: {
+          login: { method: 'POST', url: '/api/login' },
+          search: { path: '/search', response: 'replace', options: { takeLatest: true } },
+          purge: { method: 'delete', path: '/:id/purge', response: 'remove' },
+          ping: { url: '/api/ping', response: 'ignore', requestType: 'health' }
+        }
+      });
+      backend.on('POST', '/api/login', request => ({ body: { id: 1, name: request.body.username } }));
+      backend.on('GET', '/accounts/search', request => ({ body: [{ id: 2, name: request.query.q }, { id: 3, name: request.query.q }] }));
+      backend.on('DELETE', '/accounts/:id/purge', () => ({ status: 204 }));
+      backend.on('GET', '/api/ping', () => ({ body: 'pong' }));
+    });
+
+    it('generates actions & request selectors for custom endpoints', () => {
+      return dispatch(accounts.login({ username: 'Ann' })).then(() => {
+        expect(accounts.get(1)(getState())).toEqual({ id: 1, name: 'Ann' });
+        expect(accounts.login.getStatus()(getState())).toBe('succeeded');
+        return dispatch(accounts.search({ q: 'Bob' }));
+      }).then(() => {
+        expect(backend.requests[1].url).toBe('/accounts/search?q=Bob');
+        expect(accounts.getAll()(getState()).map(account => account.id)).toEqual([2, 3]);
+        return dispatch(accounts.purge(2, { reason: 'spam' }));
+      }).then(() => {
+        expect(`${backend.requests[2].method} ${backend.requests[2].path}`).toBe('DELETE /accounts/2/purge');
+        expect(backend.requests[2].body).toEqual({ reason: 'spam' });
+        expect(accounts.getAll()(getState()).map(account => account.id)).toEqual([3]);
+        expect(accounts.purge.getRequest(2)(getState())).toEqual(expect.objectContaining({ status: 'succeeded', statusCode: 204 }));
+        return dispatch(accounts.ping());
+      }).then(() => {
+        expect(accounts.getRequestStatus('health')(getState())).toBe('succeeded');
+        expect(accounts.getAll()(getState())).toHaveLength(1);
+      });
+    });
+
+    it('builds endpoint bodies as those of create() & update()', () => {
+      const client = defineResource({
+        name: 'resource',
+        path: '/accounts',
+        createSlice,
+        createSelector,
+        fetchFunction: backend.fetch,
+        serialize: params => ({ account: params }),
+        endpoints: { archive: { method: 'POST', path: '/:id/archive' }, search: { path: '/search', response: 'ignore' } }
+      });
+      backend.on('POST', '/accounts/:id/archive', request => ({ body: { _id: request.params.id, archived: true } }));
+      backend.on('GET', '/accounts/search', () => ({ body: [] }));
+      return dispatch(client.archive('1', { reason: 'spam' })).then(() => dispatch(client.search({ q: 'Ann' }))).then(() => {
+        expect(backend.requests[0].body).toEqual({ account: { reason: 'spam' } });
+        expect(backend.requests[1].url).toBe('/accounts/search?q=Ann');
+        expect(client.get('1')(getState())).toEqual({ _id: '1', archived: true });
+      });
+    });
+
+    it('tracks failed endpoint requests, and rejects invalid endpoints', () => {
+      backend.injectFailure({ path: '/api/login', status: 422, body: { errors: { password: ['is wrong'] } } });
+      return dispatch(accounts.login({ username: 'Ann' })).then(() => {
+        expect(accounts.login.getStatus()(getState())).toBe('failed');
+        expect(accounts.login.getFieldErrors()(getState())).toEqual({ password: ['is wrong'] });
+        expect(() => accounts.defineEndpoint('fetch', {})).toThrow('The "fetch" endpoint of resource would replace its fetch() method');
+        expect(() => accounts.defineEndpoint('archive', { response: 'merge' })).toThrow('Unknown endpoint response "merge"');
+      });
+    });
+  });
 });
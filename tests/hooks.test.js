@@ -0,0 +1,142 @@
+import { createElement } from 'react';
+import TestRenderer, { act } from 'react-test-renderer';
+import { Provider } from 'react-redux';
+import { configureStore, createSlice, createSelector } from '@reduxjs/toolkit';
+import ReduxRESTClient from '../dist/index'; // Run npm run build first
+import { useCreate, useRecord, useResource } from '../dist/hooks';
+import { FakeBackend } from '../dist/testing';
+
+global.IS_REACT_ACT_ENVIRONMENT = true;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('hooks', () => {
+  let backend;
+  let client;
+  let store;
+
+  const createClient = () => {
+    client = new ReduxRESTClient('things', { path: '/things', createSlice, createSelector, fetchFunction: backend.fetch });
+    backend.mount(client, [{ _id: '1', done: true }, { _id: '2', done: false }]);
+    store = configureStore({
+      reducer: { things: client.getReducer() },
+      middleware: getDefaultMiddleware => getDefaultMiddleware({ serializableCheck: false, immutableCheck: false })
+    });
+  };
+
+  // Renders a component calling hook(props), result.current being what the hook returned on the last render
+  const renderHook = (hook, props) => {
+    const result = { current: null };
+    const Probe = ({ hookProps }) => {
+      result.current = hook(hookProps);
+      return null;
+    };
+    const render = hookProps => createElement(Provider, { store: store }, createElement(Probe, { hookProps: hookProps }));
+    let renderer;
+    act(() => {
+      renderer = TestRenderer.create(render(props));
+    });
+    return {
+      result: result,
+      rerender: hookProps => act(() => renderer.update(render(hookProps))),
+      unmount: () => act(() => renderer.unmount())
+    };
+  };
+
+  // act() of an async callback returns a thenable whose then() does not return a promise, wrapped into one to be chained
+  const actAsync = callback => Promise.resolve(act(callback));
+
+  // Lets the fake backend respond & the components re-render
+  const settle = (ms = 10) => actAsync(() => wait(ms));
+
+  beforeEach(() => {
+    backend = new FakeBackend();
+    createClient();
+  });
+
+  it('useResource() fetches on mount, and again when params change', () => {
+    const hook = renderHook(params => useResource(client, params, { select: client.where(params) }), { done: true });
+    expect(hook.result.current.status).toBe('pending');
+    return settle().then(() => {
+      expect(hook.result.current).toEqual(expect.objectContaining({ status: 'succeeded', error: null, data: [{ _id: '1', done: true }] }));
+      // The same params (in a new object) are not fetched again
+      hook.rerender({ done: true });
+      return settle();
+    }).then(() => {
+      expect(backend.requests.map(request => request.url)).toEqual(['/things?done=true']);
+      hook.rerender({ done: false });
+      return settle();
+    }).then(() => {
+      expect(backend.requests.map(request => request.url)).toEqual(['/things?done=true', '/things?done=false']);
+      expect(hook.result.current.data).toEqual([{ _id: '2', done: false }]);
+      return actAsync(() => hook.result.current.refetch());
+    }).then(() => {
+      expect(backend.requests).toHaveLength(3);
+      hook.unmount();
+    });
+  });
+
+  it('useResource() ignores results received after unmounting, or cancels the fetch with cancelOnUnmount', () => {
+    backend.latency = 20;
+    const ignoring = renderHook(() => useResource(client, { done: true }));
+    const cancelling = renderHook(() => useResource(client, { done: false }, { cancelOnUnmount: true }));
+    ignoring.unmount();
+    cancelling.unmount();
+    return settle(50).then(() => {
+      // The records are still stored in the slice, where they are cached for the next component
+      expect(client.getRequestStatus('fetch', { done: true })(store.getState())).toBe('succeeded');
+      expect(client.getRequestStatus('fetch', { done: false })(store.getState())).toBe('cancelled');
+      expect(client.getAll()(store.getState())).toEqual([{ _id: '1', done: true }]);
+    });
+  });
+
+  it('useResource() does not cancel a fetch other mounted components are using', () => {
+    backend.latency = 20;
+    const cancelling = renderHook(() => useResource(client, { done: true }, { cancelOnUnmount: true }));
+    const other = renderHook(() => useResource(client, { done: true }));
+    cancelling.unmount();
+    return settle(50).then(() => {
+      expect(backend.requests).toHaveLength(1);
+      expect(other.result.current).toEqual(expect.objectContaining({ status: 'succeeded', data: [{ _id: '1', done: true }] }));
+      other.unmount();
+    });
+  });
+
+  it('useRecord() fetches the record once its id is known', () => {
+    const hook = renderHook(id => useRecord(client, id), null);
+    return settle().then(() => {
+      expect(hook.result.current).toEqual(expect.objectContaining({ data: undefined, status: null }));
+      expect(backend.requests).toHaveLength(0);
+      hook.rerender('2');
+      return settle();
+    }).then(() => {
+      expect(hook.result.current).toEqual(expect.objectContaining({ data: { _id: '2', done: false }, status: 'succeeded' }));
+      hook.unmount();
+    });
+  });
+
+  it('useCreate() tracks the state of each component\'s requests, until reset or unmounted', () => {
+    const first = renderHook(() => useCreate(client));
+    const second = renderHook(() => useCreate(client));
+    backend.injectFailure({ method: 'POST', status: 422, body: { errors: { title: ['is required'] } } });
+    return actAsync(() => first.result.current[0]({ done: false })).then(() => {
+      expect(first.result.current[1]).toEqual(expect.objectContaining({ status: 'failed', fieldErrors: { title: ['is required'] } }));
+      expect(second.result.current[1].status).toBe(null);
+      return actAsync(() => first.result.current[0]({ title: 'New', done: false }));
+    }).then(() => {
+      expect(first.result.current[1]).toEqual(expect.objectContaining({ status: 'succeeded', error: null, fieldErrors: {} }));
+      expect(client.getAll()(store.getState())).toEqual([{ _id: '3', title: 'New', done: false }]);
+
+      act(() => first.result.current[1].reset());
+      expect(first.result.current[1].status).toBe(null);
+
+      return actAsync(() => second.result.current[0]({ title: 'Other' }));
+    }).then(() => {
+      const requestKeys = Object.keys(store.getState().things.requests).filter(key => store.getState().things.requests[key]);
+      expect(requestKeys).toHaveLength(1);
+      second.unmount();
+      expect(store.getState().things.requests[requestKeys[0]]).toBe(null);
+      first.unmount();
+    });
+  });
+});